@@ -147,7 +147,14 @@ const FormTableSelectSection = form.TableSection.extend({
 	},
 
 	async handleCreate() {
-		const createForm = new this.createForm.init();
+		return this.showCreateModal(new this.createForm.init());
+	},
+
+	/**
+	 * Show the create modal for an already configured form instance.
+	 * @param {object} createForm - Form instance (e.g. with preset values)
+	 */
+	async showCreateModal(createForm) {
 		const formElement = await createForm.render();
 		const title = this.modalCreateTitle || _('Create %s').format(this.view.titleSingle || '').trim();
 
@@ -4,6 +4,105 @@
 
 const NOTIFICATION_TIMEOUT = 2000;
 
+// SpecGenerator health_check_on_failure_action values (libpod define.HealthCheckOnFailureAction)
+const HEALTH_ON_FAILURE_ACTIONS = {
+	none: 0,
+	kill: 2,
+	restart: 3,
+	stop: 4,
+};
+
+// Linux capabilities accepted by --cap-add / --cap-drop (capabilities(7))
+const LINUX_CAPABILITIES = [
+	'CAP_AUDIT_CONTROL', 'CAP_AUDIT_READ', 'CAP_AUDIT_WRITE', 'CAP_BLOCK_SUSPEND', 'CAP_BPF',
+	'CAP_CHECKPOINT_RESTORE', 'CAP_CHOWN', 'CAP_DAC_OVERRIDE', 'CAP_DAC_READ_SEARCH', 'CAP_FOWNER',
+	'CAP_FSETID', 'CAP_IPC_LOCK', 'CAP_IPC_OWNER', 'CAP_KILL', 'CAP_LEASE', 'CAP_LINUX_IMMUTABLE',
+	'CAP_MAC_ADMIN', 'CAP_MAC_OVERRIDE', 'CAP_MKNOD', 'CAP_NET_ADMIN', 'CAP_NET_BIND_SERVICE',
+	'CAP_NET_BROADCAST', 'CAP_NET_RAW', 'CAP_PERFMON', 'CAP_SETFCAP', 'CAP_SETGID', 'CAP_SETPCAP',
+	'CAP_SETUID', 'CAP_SYS_ADMIN', 'CAP_SYS_BOOT', 'CAP_SYS_CHROOT', 'CAP_SYS_MODULE', 'CAP_SYS_NICE',
+	'CAP_SYS_PACCT', 'CAP_SYS_PTRACE', 'CAP_SYS_RAWIO', 'CAP_SYS_RESOURCE', 'CAP_SYS_TIME',
+	'CAP_SYS_TTY_CONFIG', 'CAP_SYSLOG', 'CAP_WAKE_ALARM',
+];
+
+// Resource names accepted by --ulimit (setrlimit(2) without the RLIMIT_ prefix)
+const ULIMITS = [
+	'as', 'core', 'cpu', 'data', 'fsize', 'locks', 'memlock', 'msgqueue', 'nice', 'nofile', 'nproc',
+	'rss', 'rtprio', 'rttime', 'sigpending', 'stack',
+];
+
+// Label keeping the --secret options of a container, since inspect does not expose env secrets
+const SECRETS_LABEL = 'luci.podman.secrets';
+
+// Label keeping the log rotation size in bytes, since inspect only has it rounded (e.g., "10.49MB")
+const LOG_SIZE_LABEL = 'luci.podman.log-size';
+
+// Top-level SpecGenerator keys (POST /libpod/containers/create) with their JSON type
+const CONTAINER_SPEC_KEYS = {
+	// Basic
+	name: 'string', pod: 'string', image: 'string', raw_image_name: 'string', entrypoint: 'array',
+	command: 'array', env: 'object', env_host: 'boolean', envmerge: 'array', httpproxy: 'boolean',
+	unsetenv: 'array', unsetenvall: 'boolean', terminal: 'boolean', stdin: 'boolean', labels: 'object',
+	annotations: 'object', stop_signal: 'integer', stop_timeout: 'integer', log_configuration: 'object',
+	conmon_pid_file: 'string', restart_policy: 'string', restart_tries: 'integer', oci_runtime: 'string',
+	systemd: 'string', sdnotifyMode: 'string', pidns: 'object', utsns: 'object', hostname: 'string',
+	hostusers: 'array', sysctl: 'object', remove: 'boolean', remove_image: 'boolean', personality: 'object',
+	secret_env: 'object', init_container_type: 'string', dependencyContainers: 'array',
+	passwd_entry: 'string', group_entry: 'string', timezone: 'string',
+	// Storage
+	rootfs: 'string', rootfs_overlay: 'boolean', rootfs_mapping: 'string', rootfs_propagation: 'string',
+	image_volume_mode: 'string', image_volumes: 'array', image_arch: 'string', image_os: 'string',
+	image_variant: 'string', mounts: 'array', volumes: 'array', overlay_volumes: 'array',
+	volumes_from: 'array', init: 'boolean', init_path: 'string', devices: 'array',
+	device_cgroup_rule: 'array', devices_from: 'array', ipcns: 'object', shm_size: 'integer',
+	shm_size_systemd: 'integer', work_dir: 'string', create_working_dir: 'boolean', storage_opts: 'object',
+	secrets: 'array', volatile: 'boolean', chroot_directories: 'array',
+	// Security
+	privileged: 'boolean', user: 'string', groups: 'array', cap_add: 'array', cap_drop: 'array',
+	selinux_opts: 'array', apparmor_profile: 'string', seccomp_policy: 'string',
+	seccomp_profile_path: 'string', no_new_privileges: 'boolean', userns: 'object', idmappings: 'object',
+	umask: 'string', procfs_opts: 'array', mask: 'array', unmask: 'array', read_only_filesystem: 'boolean',
+	read_write_tmpfs: 'boolean', label_nested: 'boolean',
+	// Cgroups
+	cgroupns: 'object', cgroups_mode: 'string', cgroup_parent: 'string',
+	// Network
+	netns: 'object', portmappings: 'array', publish_image_ports: 'boolean', expose: 'object',
+	networks: 'object', network_options: 'object', dns_server: 'array', dns_search: 'array',
+	dns_option: 'array', hostadd: 'array', use_image_resolve_conf: 'boolean', use_image_hosts: 'boolean',
+	base_hosts_file: 'string',
+	// Resources
+	resource_limits: 'object', r_limits: 'array', oom_score_adj: 'integer', weightDevice: 'object',
+	throttleReadBpsDevice: 'object', throttleWriteBpsDevice: 'object', throttleReadIOPSDevice: 'object',
+	throttleWriteIOPSDevice: 'object', cgroup_conf: 'object', intelRdt: 'object',
+	// Health
+	healthconfig: 'object', health_check_on_failure_action: 'integer', startupHealthConfig: 'object',
+	healthLogDestination: 'string', healthMaxLogCount: 'integer', healthMaxLogSize: 'integer',
+};
+
+// Keys accepted by the container_update RPC: CONTAINER_BODY_KEYS (ucode/podman_validate.uc)
+// plus RestartPolicy/RestartRetries, which are sent as query parameters
+const CONTAINER_UPDATE_KEYS = {
+	cpu: 'object', memory: 'object', blockIO: 'object', devices: 'array', hugepageLimits: 'array',
+	network: 'object', pids: 'object', rdma: 'object', unified: 'object',
+	BlkIOWeightDevice: 'array', DeviceReadBPs: 'array', DeviceReadIOPs: 'array',
+	DeviceWriteBPs: 'array', DeviceWriteIOPs: 'array',
+	Env: 'array', UnsetEnv: 'array',
+	health_cmd: 'string', health_interval: 'string', health_log_destination: 'string',
+	health_max_log_count: 'integer', health_max_log_size: 'integer',
+	health_on_failure: 'string', health_retries: 'integer', health_start_period: 'string',
+	health_startup_cmd: 'string', health_startup_interval: 'string',
+	health_startup_retries: 'integer', health_startup_success: 'integer',
+	health_startup_timeout: 'string', health_timeout: 'string',
+	no_healthcheck: 'boolean',
+	RestartPolicy: 'string', RestartRetries: 'integer',
+};
+
 return baseclass.extend({
 	NOTIFICATION_TIMEOUT,
+	HEALTH_ON_FAILURE_ACTIONS,
+	LINUX_CAPABILITIES,
+	ULIMITS,
+	SECRETS_LABEL,
+	LOG_SIZE_LABEL,
+	CONTAINER_SPEC_KEYS,
+	CONTAINER_UPDATE_KEYS,
 });
@@ -19,6 +19,38 @@ const FormMemoryValue = form.Value.extend({
 	},
 });
 
+const FormDurationValue = form.Value.extend({
+	placeholder: '30s, 1m, 1h',
+	validate(_section_id, value) {
+		if (!value) return true;
+		if (!/^\d+(?:\.\d+)?\s*(?:ns|us|ms|s|m|h)$/.test(value)) {
+			return _('Expecting: %s').format(_('duration like 500ms, 30s, 5m or 1h'));
+		}
+		return true;
+	},
+});
+
+/**
+ * Volumes field edited with podmanUI.MountList; the value keeps the
+ * `source:destination[:options]` lines (one mount per line).
+ */
+const FormMountValue = form.Value.extend({
+	__name__: 'Podman.Form.MountValue',
+
+	volumes: [],
+	checkPath: null,
+	listPath: null,
+
+	renderWidget(section_id, _option_index, cfgvalue) {
+		return new podmanUI.MountList(cfgvalue ?? this.default, {
+			id: this.cbid(section_id),
+			volumes: this.volumes,
+			checkPath: this.checkPath,
+			listPath: this.listPath,
+		}).render();
+	},
+});
+
 /**
  *
  */
@@ -146,6 +178,8 @@ return baseclass.extend({
 	EditableField: FormEditableField,
 	field: {
 		MemoryValue: FormMemoryValue,
+		DurationValue: FormDurationValue,
+		MountValue: FormMountValue,
 		DummyValue: FormDummyValue,
 		ByteDummyValue: FormByteDummyValue,
 		DateDummyValue: FormDateDummyValue,
@@ -2,12 +2,79 @@
 
 'require baseclass';
 'require form';
+'require uci';
+'require ui';
 
+'require podman.constants as c';
 'require podman.form as podmanForm';
+'require podman.ui as podmanUI';
 'require podman.utils as podmanUtil';
 'require podman.rpc as podmanRPC';
 'require podman.view as podmanView';
 'require podman.model.Container as Container';
+'require podman.model.Template as Template';
+'require podman.model.Image as Image';
+
+// Spec settings the form has no field for, with their CLI flag
+const UNSUPPORTED_SPEC_FLAGS = {
+	entrypoint: '--entrypoint',
+	dns_server: '--dns',
+	dns_option: '--dns-option',
+	dns_search: '--dns-search',
+	hostadd: '--add-host',
+	shm_size: '--shm-size',
+	oom_score_adj: '--oom-score-adj',
+	stop_signal: '--stop-signal',
+	stop_timeout: '--stop-timeout',
+	stdin: '--interactive',
+};
+
+// Bind mount options the volumes field sets itself (rbind is the default of a bind mount)
+const FORM_MOUNT_OPTIONS = [ 'ro', 'rw', 'z', 'Z', 'rbind' ];
+
+// Spec keys buildSpec() derives from form fields. Others set in the JSON editor are kept aside.
+const FORM_SPEC_KEYS = [
+	'name', 'image', 'pod', 'command', 'portmappings', 'expose', 'env', 'secrets', 'secret_env',
+	'mounts', 'volumes', 'devices', 'r_limits', 'sysctl', 'netns', 'networks', 'restart_policy',
+	'restart_tries', 'privileged', 'cap_add', 'cap_drop', 'read_only_filesystem', 'no_new_privileges',
+	'seccomp_profile_path', 'selinux_opts', 'apparmor_profile', 'terminal', 'remove', 'work_dir',
+	'hostname', 'timezone', 'user', 'groups', 'labels', 'resource_limits', 'log_configuration',
+	'healthconfig', 'health_check_on_failure_action',
+];
+
+// Variable names whose values are better kept in a Podman secret
+const SECRET_ENV_NAME = /PASSWORD|PASSWD|SECRET|TOKEN|KEY/i;
+
+/**
+ * Format bytes in the largest binary unit that divides them (accepted by parseMemory()).
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size (e.g., "512m")
+ */
+function formatMemory(bytes) {
+	const unit = [ [ 'g', 1024 ** 3 ], [ 'm', 1024 ** 2 ], [ 'k', 1024 ] ].find(([, size]) => bytes % size === 0);
+	return unit ? `${bytes / unit[1]}${unit[0]}` : String(bytes);
+}
+
+/**
+ * Rebuild --secret options from the secrets of a spec (reverse of Container.secretsToSpec()).
+ * @param {object} spec - Container spec
+ * @returns {string[]} Secret options (e.g., "db_pass,type=env,target=DB_PASSWORD")
+ */
+function specSecretOptions(spec) {
+	const options = Object.entries(spec.secret_env || {})
+		.map(([target, source]) => target === source ? `${source},type=env` : `${source},type=env,target=${target}`);
+
+	(spec.secrets || []).forEach((secret) => {
+		const parts = [ secret.Source ];
+		if (secret.Target) parts.push(`target=${secret.Target}`);
+		if (secret.UID != null) parts.push(`uid=${secret.UID}`);
+		if (secret.GID != null) parts.push(`gid=${secret.GID}`);
+		if (secret.Mode != null) parts.push(`mode=0${Number(secret.Mode).toString(8)}`);
+		options.push(parts.join(','));
+	});
+
+	return options;
+}
 
 /**
  * Create podman container
@@ -18,40 +85,121 @@ const PodmanFormContainer = podmanView.form.extend({
 	makeData() {
 		return {
 			container: {
+				_cli: null,
+				_template: '',
 				name: '',
 				image: '',
 				pod: '',
 				command: null,
 				ports: null,
 				env: null,
+				secrets: null,
 				volumes: null,
+				devices: null,
+				tmpfs: null,
+				ulimits: null,
+				sysctls: null,
 				network: 'bridge',
+				network_container: '',
+				additional_networks: null,
+				ip4: null,
+				ip6: null,
+				mac: null,
+				aliases: null,
 				restart: 'no',
+				restart_retries: null,
 				privileged: '0',
+				cap_add: [],
+				cap_drop: [],
+				read_only: '0',
+				no_new_privileges: '0',
+				seccomp_profile: null,
+				selinux_opts: null,
+				apparmor_profile: null,
 				tty: '0',
 				remove: '0',
 				autoupdate: '0',
 				start: '0',
 				workdir: null,
 				hostname: null,
+				timezone: null,
 				user: null,
 				groups: null,
 				expose: null,
 				labels: null,
 				cpus: null,
 				memory: null,
+				log_driver: '',
+				log_max_size: null,
+				log_tag: null,
+				health_cmd: null,
+				health_interval: null,
+				health_timeout: null,
+				health_retries: null,
+				health_start_period: null,
+				health_on_failure: 'none',
+				_template_name: null,
+				_template_description: null,
 			}
 		};
 	},
 
 	async createForm() {
-		const [images, networks, pods] = await Promise.all([
+		// Host lookups only add suggestions and checks: the form still opens without them
+		const [images, networks, pods, hostDevices, secrets, containers, timezones, templates, hostPorts, volumes] = await Promise.all([
 			podmanRPC.images.list(),
 			podmanRPC.networks.list(),
-			podmanRPC.pods.list()
+			podmanRPC.pods.list(),
+			podmanRPC.host.devices().catch(() => []),
+			podmanRPC.secrets.list(),
+			podmanRPC.containers.list('all=true'),
+			podmanRPC.host.timezones().catch(() => ({})),
+			podmanRPC.templates.list().catch(() => []),
+			podmanRPC.host.ports().catch(() => []),
+			podmanRPC.volumes.list(),
+			uci.load('system')
 		]);
+		this.templates = templates || [];
+		this.containers = containers;
+		this.hostPorts = hostPorts || [];
+		this.pods = pods;
+		this.timezones = timezones || {};
+		this.hostZone = uci.get_first('system', 'system', 'zonename') || '';
 
 		let field;
+		field = this.section.option(form.TextValue, '_cli', _('Import from CLI'));
+		field.placeholder = 'podman run -d --name web -p 8080:80 docker.io/library/nginx:latest';
+		field.rows = 2;
+		field.optional = true;
+		field.description = _('Paste a podman run / docker run command (or a container\'s Create Command) to fill the form');
+
+		field = this.section.option(form.Button, '_cli_import', ' ');
+		field.inputtitle = _('Import from CLI');
+		field.inputstyle = 'apply';
+		field.onclick = () => this.handleImportCli();
+
+		field = this.section.option(form.ListValue, '_template', _('Template'));
+		field.value('', _('-- Select %s --').format(_('Template')));
+		this.templates.forEach((template) => field.value(template.getName(), template.getDescription()
+			? '%s - %s'.format(template.getName(), template.getDescription())
+			: template.getName()));
+		field.optional = true;
+		field.description = _('Fill the form from a template saved on the router. Placeholders such as ${PORT} are asked for.');
+
+		field = this.section.option(form.Button, '_template_use', ' ');
+		field.depends('_template', /.+/);
+		field.inputtitle = _('Use template');
+		field.inputstyle = 'apply';
+		field.onclick = () => this.handleUseTemplate();
+
+		if (!this.editContainer) {
+			field = this.section.option(form.Button, '_json_mode', _('Advanced (JSON)'));
+			field.inputtitle = _('Edit as JSON');
+			field.inputstyle = 'apply';
+			field.onclick = () => this.handleJsonMode();
+			field.description = _('Show the exact spec sent to Podman and edit it directly');
+		}
+
 		field = this.section.option(form.Value, 'name', _('Container Name'));
 		field.placeholder = 'my-container';
 		field.optional = true;
@@ -75,6 +223,7 @@ const PodmanFormContainer = podmanView.form.extend({
 			}
 			return true;
 		};
+		field.onchange = (_ev, _section_id, value) => this.handleImageChange(value);
 		field.description = _('Container image to use');
 
 		field = this.section.option(form.ListValue, 'pod', _('Pod'));
@@ -98,6 +247,16 @@ const PodmanFormContainer = podmanView.form.extend({
 		field.rows = 3;
 		field.optional = true;
 		field.description = _('One per line, format: host:container[/protocol]');
+		field.validate = (section_id, value) => {
+			const conflicts = this.findPortConflicts(value);
+			if (conflicts.length > 0) {
+				Container.resolvePortOwners(value, this.hostPorts).then((found) => {
+					if (found) this.getField('ports').getUIElement(section_id)?.triggerValidation();
+				});
+				return _('Host port already in use: %s').format(conflicts.join(', '));
+			}
+			return true;
+		};
 
 		field = this.section.option(form.Value, 'expose', _('Expose Ports'));
 		field.depends('pod', '');
@@ -111,17 +270,80 @@ const PodmanFormContainer = podmanView.form.extend({
 		field.optional = true;
 		field.description = _('One per line, format: key=value');
 
-		field = this.section.option(form.TextValue, 'volumes', _('Volumes'));
-		field.placeholder = '/host/path:/container/path:ro\nvolume-name:/data';
-		field.rows = 4;
+		field = this.section.option(form.Button, '_env_import', ' ');
+		field.inputtitle = _('Import .env');
+		field.inputstyle = 'apply';
+		field.onclick = () => this.handleEnvImport();
+
+		this.secretNames = secrets.map((secret) => secret.getName());
+		field = this.section.option(form.DynamicList, 'secrets', _('Secrets'));
+		this.secretNames.forEach((name) => field.value(name, name));
+		field.placeholder = 'db_pass,type=env,target=DB_PASSWORD';
+		field.optional = true;
+		field.validate = (_section_id, value) => {
+			if (!value) return true;
+
+			const secret = podmanUtil.cli.parseSecretOption(value);
+			if (!this.secretNames.includes(secret.source)) return _('Unknown secret: %s').format(secret.source);
+			if (secret.type !== 'mount' && secret.type !== 'env') return _('Expecting: %s').format('type=mount|env');
+			if (secret.type === 'env' && secret.target && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(secret.target)) {
+				return _('Expecting: %s').format(_('valid environment variable name'));
+			}
+			if (!/^\d*$/.test(secret.uid) || !/^\d*$/.test(secret.gid)) return _('Expecting: %s').format(_('numeric uid/gid'));
+			if (!/^(0?[0-7]{3})?$/.test(secret.mode)) return _('Expecting: %s').format(_('octal mode like 0400'));
+
+			return true;
+		};
+		field.description = _(
+			'Format: name[,type=mount|env][,target=...][,uid=...][,gid=...][,mode=...]. As file (default) the target is a path, relative paths go below /run/secrets. As env the target is the variable name.'
+		);
+
+		field = this.section.option(podmanForm.field.MountValue, 'volumes', _('Volumes'));
+		field.volumes = volumes.map((volume) => volume.getName());
+		field.checkPath = (path) => podmanRPC.host.path(path, false);
+		field.listPath = (path) => podmanRPC.host.path(path, true);
+		field.optional = true;
+		field.description = _('Named volumes are created on first use. Host paths must exist on the router.');
+
+		field = this.section.option(form.DynamicList, 'tmpfs', _('Tmpfs Mounts'));
+		field.placeholder = '/tmp:size=64m,mode=1777';
+		field.optional = true;
+		field.validate = (_section_id, value) => {
+			if (!value) return true;
+
+			const [path, options] = value.split(/:(.*)/);
+			if (!/^\/\S*$/.test(path)) return _('Expecting: %s').format(_('absolute path'));
+
+			const invalid = (options || '').split(',').filter((option) => option && !(
+				/^size=\d+[kmg%]?$/i.test(option)
+				|| /^mode=[0-7]{3,4}$/.test(option)
+				|| /^(uid|gid|nr_inodes)=\d+$/.test(option)
+				|| /^(rw|ro|exec|noexec|suid|nosuid|dev|nodev|tmpcopyup|notmpcopyup)$/.test(option)
+			));
+
+			return invalid.length ? _('Unsupported options: %s').format(invalid.join(', ')) : true;
+		};
+		field.description = _('RAM-backed scratch directories, saving flash writes. Format: path[:size=...,mode=...], e.g. /tmp:size=64m,mode=1777');
+
+		field = this.section.option(form.DynamicList, 'devices', _('Devices'));
+		hostDevices.forEach((device) => field.value(device.path, device.path));
+		field.placeholder = '/dev/ttyUSB0';
 		field.optional = true;
-		field.description = _('One per line. Format: source:destination[:options]. Options: ro, rw, Z, z');
+		field.validate = (_section_id, value) => {
+			if (!value || /^\/dev\/[^:]+(:\/dev\/[^:]+)?(:[rwm]{1,3})?$/.test(value)) {
+				return true;
+			}
+
+			return _('Expecting: %s').format('/dev/host[:/dev/container[:rwm]]');
+		};
+		field.description = _('Host character devices to pass through. Format: host[:container[:permissions]], e.g. /dev/ttyACM0:/dev/zigbee:rw');
 
 		field = this.section.option(form.ListValue, 'network', _('Network'));
 		field.depends('pod', '');
 		field.value('bridge', 'bridge (default)');
 		field.value('host', 'host');
 		field.value('none', 'none');
+		field.value('container', _('container (share network of another container)'));
 		networks.forEach((net) => {
 			const name = net.getName();
 			if (name && name !== 'bridge' && name !== 'host' && name !== 'none') {
@@ -133,14 +355,121 @@ const PodmanFormContainer = podmanView.form.extend({
 			'Select network for the new container. User-created networks provide better isolation and DNS resolution between containers.'
 		);
 
+		field = this.section.option(form.ListValue, 'network_container', _('Network Container'));
+		field.depends({ pod: '', network: 'container' });
+		containers.forEach((container) => field.value(container.getName(), container.getName()));
+		field.validate = (_section_id, value) => {
+			if (this.getFieldValue('network') === 'container' && !value) {
+				return _('Expecting: %s').format(_('non-empty value'));
+			}
+			return true;
+		};
+		field.description = _('Join the network namespace of this container. Ports, hostname and networks are then defined by that container.');
+
+		const networkByName = Object.fromEntries(networks.map((net) => [net.getName(), net]));
+		const staticNetworks = Object.keys(networkByName).filter((name) => !['bridge', 'host', 'none'].includes(name));
+		const checkStaticIp = (value) => {
+			const network = networkByName[this.getFieldValue('network')];
+			return !value || !network || network.checkStaticIp(value) || true;
+		};
+
+		field = this.section.option(form.Value, 'ip4', _('Static IPv4 Address'));
+		staticNetworks.forEach((name) => field.depends({ pod: '', network: name }));
+		field.placeholder = '10.89.0.10';
+		field.optional = true;
+		field.datatype = 'ip4addr("nomask")';
+		field.validate = (_section_id, value) => checkStaticIp(value);
+
+		field = this.section.option(form.Value, 'ip6', _('Static IPv6 Address'));
+		staticNetworks.forEach((name) => field.depends({ pod: '', network: name }));
+		field.placeholder = 'fd52:425:78eb:1::10';
+		field.optional = true;
+		field.datatype = 'ip6addr("nomask")';
+		field.validate = (_section_id, value) => checkStaticIp(value);
+
+		field = this.section.option(form.Value, 'mac', _('Static MAC Address'));
+		staticNetworks.forEach((name) => field.depends({ pod: '', network: name }));
+		field.placeholder = '92:d0:c6:0a:29:33';
+		field.optional = true;
+		field.datatype = 'macaddr';
+
+		field = this.section.option(form.DynamicList, 'aliases', _('DNS Aliases'));
+		staticNetworks.forEach((name) => field.depends({ pod: '', network: name }));
+		field.placeholder = 'db';
+		field.optional = true;
+		field.datatype = 'hostname';
+		field.description = _('Additional names under which other containers on this network can resolve the container');
+
+		field = this.section.option(form.DynamicList, 'additional_networks', _('Additional Networks'));
+		staticNetworks.forEach((name) => {
+			field.depends({ pod: '', network: name });
+			field.value(name, name);
+		});
+		field.placeholder = 'macvlan-lan:ip=192.168.1.50';
+		field.optional = true;
+		field.validate = (_section_id, value) => {
+			if (!value) return true;
+
+			const attachment = podmanUtil.cli.parseNetworkOption(value);
+			const network = networkByName[attachment.name];
+			if (!network || !staticNetworks.includes(attachment.name)) return _('Unknown network: %s').format(attachment.name);
+			if (attachment.name === this.getFieldValue('network')) return _('%s is already the primary network').format(attachment.name);
+			if (attachment.unknown.length > 0) return _('Unsupported options: %s').format(attachment.unknown.join(', '));
+			if (attachment.mac && !/^([0-9a-f]{2}:){5}[0-9a-f]{2}$/i.test(attachment.mac)) return _('Invalid MAC address: %s').format(attachment.mac);
+
+			return [ attachment.ip, attachment.ip6 ].filter((ip) => ip).map((ip) => network.checkStaticIp(ip)).find((err) => err) || true;
+		};
+		field.description = _('Further networks to attach. Format: name[:ip=...,ip6=...,mac=...,alias=...], e.g. macvlan-lan:ip=192.168.1.50,alias=web');
+
 		field = this.section.option(form.ListValue, 'restart', _('Restart Policy'));
 		field.value('no', _('No'));
 		field.value('always', _('Always'));
 		field.value('on-failure', _('On Failure'));
 		field.value('unless-stopped', _('Unless Stopped'));
 
+		field = this.section.option(form.Value, 'restart_retries', _('Restart Retries'));
+		field.depends('restart', 'on-failure');
+		field.datatype = 'range(0,65535)';
+		field.placeholder = '5';
+		field.optional = true;
+		field.description = _('Maximum restart attempts after a failure, also used by the init script at boot. Empty or 0 retries without limit (one attempt at boot).');
+
 		field = this.section.option(form.Flag, 'privileged', _('Privileged Mode'));
 
+		field = this.section.option(form.MultiValue, 'cap_add', _('Add Capabilities'));
+		field.depends('privileged', '0');
+		c.LINUX_CAPABILITIES.forEach((cap) => field.value(cap, cap));
+		field.optional = true;
+		field.description = _('Grant only the capabilities the container needs instead of running it privileged');
+
+		field = this.section.option(form.MultiValue, 'cap_drop', _('Drop Capabilities'));
+		field.depends('privileged', '0');
+		field.value('ALL', _('ALL'));
+		c.LINUX_CAPABILITIES.forEach((cap) => field.value(cap, cap));
+		field.optional = true;
+		field.description = _('Remove capabilities from the default set. Drop ALL and add back single ones for the tightest setup.');
+
+		field = this.section.option(form.Flag, 'read_only', _('Read-only Root Filesystem'));
+		field.description = _('Mount the container\'s root filesystem read-only. Use volumes for paths that need to be written.');
+
+		field = this.section.option(form.Flag, 'no_new_privileges', _('No New Privileges'));
+		field.description = _('Prevent processes from gaining additional privileges, e.g. via setuid binaries');
+
+		field = this.section.option(form.Value, 'seccomp_profile', _('Seccomp Profile'));
+		field.placeholder = '/etc/containers/seccomp.json';
+		field.optional = true;
+		field.description = _('Path to a custom seccomp profile on the host, or "unconfined" to disable seccomp');
+
+		field = this.section.option(form.DynamicList, 'selinux_opts', _('SELinux Labels'));
+		field.placeholder = 'type:spc_t';
+		field.optional = true;
+		field.description = _('SELinux label options, e.g. type:spc_t, level:s0:c100,c200 or disable');
+
+		field = this.section.option(form.Value, 'apparmor_profile', _('AppArmor Profile'));
+		field.placeholder = 'unconfined';
+		field.optional = true;
+		field.description = _('AppArmor profile to apply, or "unconfined" to disable AppArmor confinement');
+
 		field = this.section.option(form.Flag, 'tty', _('Allocate TTY (-t)'));
 
 		field = this.section.option(form.Flag, 'remove', _('Auto Remove (--rm)'));
@@ -163,6 +492,12 @@ const PodmanFormContainer = podmanView.form.extend({
 		field.optional = true;
 		field.datatype = 'hostname';
 
+		field = this.section.option(form.ListValue, 'timezone', _('Timezone'));
+		field.value('', _('UTC (container default)'));
+		Object.keys(this.timezones).sort().forEach((zone) => field.value(zone, zone));
+		field.default = this.hostZone;
+		field.description = _('Defaults to the router\'s timezone');
+
 		field = this.section.option(form.Value, 'user', _('User'));
 		field.placeholder = '1000:1000';
 		field.optional = true;
@@ -188,16 +523,1119 @@ const PodmanFormContainer = podmanView.form.extend({
 		field = this.section.option(podmanForm.field.MemoryValue, 'memory', _('Memory Limit'));
 		field.optional = true;
 		field.description = _('Memory limit (e.g., 512m, 1g)');
+
+		field = this.section.option(form.DynamicList, 'ulimits', _('Ulimits'));
+		field.placeholder = 'nofile=65535:65535';
+		field.optional = true;
+		field.validate = (_section_id, value) => {
+			if (!value) return true;
+
+			const match = value.match(/^([a-z]+)=(\d+)(?::(\d+))?$/);
+			if (!match || !c.ULIMITS.includes(match[1])) {
+				return _('Expecting: %s').format('name=soft[:hard] (%s)'.format(c.ULIMITS.join(', ')));
+			}
+			if (match[3] && +match[2] > +match[3]) {
+				return _('Soft limit must not exceed the hard limit');
+			}
+
+			return true;
+		};
+		field.description = _('Resource limits. Format: name=soft[:hard], e.g. nofile=65535:65535');
+
+		field = this.section.option(form.DynamicList, 'sysctls', _('Sysctls'));
+		field.placeholder = 'net.ipv4.ip_forward=1';
+		field.optional = true;
+		field.validate = (_section_id, value) => {
+			if (!value) return true;
+
+			const [key, sysctlValue] = value.split(/=(.*)/);
+			if (!sysctlValue) return _('Expecting: %s').format('key=value');
+			if (!this.isNamespacedSysctl(key)) return _('%s is not a namespaced sysctl').format(key);
+			if (key.startsWith('net.') && this.getFieldValue('network') === 'host') {
+				return _('Network sysctls cannot be set with host networking');
+			}
+
+			return true;
+		};
+		field.description = _('Namespaced kernel parameters (net.*, fs.mqueue.* and IPC kernel.* keys). Format: key=value');
+
+		field = this.section.option(form.ListValue, 'log_driver', _('Log Driver'));
+		field.value('', _('Default'));
+		field.value('k8s-file', 'k8s-file');
+		field.value('journald', 'journald');
+		field.value('passthrough', 'passthrough');
+		field.value('none', 'none');
+		field.description = _('Where container output is stored. k8s-file writes to container storage, journald to the system journal.');
+
+		field = this.section.option(form.Value, 'log_max_size', _('Log Max Size'));
+		field.depends('log_driver', 'k8s-file');
+		field.placeholder = '10m';
+		field.optional = true;
+		field.validate = (_section_id, value) => {
+			if (!value || /^\d+(?:\.\d+)?\s*[kmg]b?$/i.test(value)) return true;
+			return _('Expecting: %s').format(_('size like 512k, 10m or 1g'));
+		};
+		field.description = _('Rotate the log file when it reaches this size, keeping storage usage bounded');
+
+		field = this.section.option(form.Value, 'log_tag', _('Log Tag'));
+		field.depends('log_driver', 'k8s-file');
+		field.depends('log_driver', 'journald');
+		field.placeholder = '{{.Name}}';
+		field.optional = true;
+		field.description = _('Tag attached to log entries (Go template, e.g. {{.Name}} or {{.ImageName}})');
+
+		field = this.section.option(form.Value, 'health_cmd', _('Health Check Command'));
+		field.placeholder = 'curl -f http://localhost/ || exit 1';
+		field.optional = true;
+		field.description = _('Command run inside the container via shell. Exit code 0 means healthy. Leave empty to use the image default.');
+
+		field = this.section.option(podmanForm.field.DurationValue, 'health_interval', _('Health Check Interval'));
+		field.depends('health_cmd', /.+/);
+		field.optional = true;
+		field.description = _('Time between two checks (default 30s)');
+
+		field = this.section.option(podmanForm.field.DurationValue, 'health_timeout', _('Health Check Timeout'));
+		field.depends('health_cmd', /.+/);
+		field.optional = true;
+		field.description = _('Maximum time a single check may take (default 30s)');
+
+		field = this.section.option(form.Value, 'health_retries', _('Health Check Retries'));
+		field.depends('health_cmd', /.+/);
+		field.placeholder = '3';
+		field.optional = true;
+		field.datatype = 'uinteger';
+		field.description = _('Consecutive failures before the container is marked unhealthy');
+
+		field = this.section.option(podmanForm.field.DurationValue, 'health_start_period', _('Health Check Start Period'));
+		field.depends('health_cmd', /.+/);
+		field.placeholder = '0s';
+		field.optional = true;
+		field.description = _('Grace period after start during which failures are not counted');
+
+		field = this.section.option(form.ListValue, 'health_on_failure', _('Health Check On Failure'));
+		field.depends('health_cmd', /.+/);
+		field.value('none', _('None'));
+		field.value('kill', _('Kill'));
+		field.value('restart', _('Restart'));
+		field.value('stop', _('Stop'));
+		field.description = _('Action taken when the container becomes unhealthy');
+
+		field = this.section.option(form.Value, '_template_name', _('Save as Template'));
+		field.placeholder = 'web-server';
+		field.optional = true;
+		field.validate = (_section_id, value) => {
+			if (value && !/^[a-zA-Z0-9_.-]+$/.test(value)) {
+				return _('Expecting: %s').format(_('letters, digits, dot, dash and underscore'));
+			}
+			return true;
+		};
+		field.description = _('Store the current form on the router for reuse. Use placeholders such as ${NAME} or ${PORT} in any text field; they are asked for when the template is used.');
+
+		field = this.section.option(form.Value, '_template_description', _('Template Description'));
+		field.depends('_template_name', /.+/);
+		field.optional = true;
+
+		field = this.section.option(form.Button, '_template_save', ' ');
+		field.depends('_template_name', /.+/);
+		field.inputtitle = _('Save template');
+		field.inputstyle = 'save';
+		field.onclick = () => this.handleSaveTemplate();
 	},
 
-	async handleCreate() {
+	async render() {
+		const node = await this.super('render', []);
+
+		if (this.presetTemplate) {
+			this.setFieldValue('_template', this.presetTemplate.getName());
+			this.map.checkDepends();
+			this.useTemplate(this.presetTemplate);
+		}
+		if (this.cloneFrom) {
+			this.applyClone(this.cloneFrom);
+		}
+		if (this.editContainer) {
+			this.applyEdit(this.editContainer);
+			return node;
+		}
+
+		this.formNode = node;
+		this.jsonEditor = new podmanUI.JsonEditor({}, c.CONTAINER_SPEC_KEYS, { rows: 24 });
+		this.jsonNode = E('div', { class: 'd-none' }, [
+			E('p', { class: 'cbi-section-descr' },
+				_('This is the spec sent to Podman on create. Keys without a form field are kept when switching back to the form.')),
+			this.jsonEditor.render(),
+			E('div', { class: 'mt-sm' }, new podmanUI.Button(_('Back to form'), () => this.handleFormMode(), 'apply').render()),
+		]);
+
+		return E('div', {}, [ node, this.jsonNode ]);
+	},
+
+	isJsonMode() {
+		return Boolean(this.jsonNode) && !this.jsonNode.classList.contains('d-none');
+	},
+
+	/**
+	 * Switch to the JSON editor, prefilled with the spec the form would create.
+	 */
+	async handleJsonMode() {
 		if (!this.isValid()) {
 			return this.scrollToInvalid();
 		}
 
 		await this.save();
 
+		const spec = Object.assign(await this.buildSpec(this.getFieldValues()), this.extraSpec);
+		this.jsonEditor.setValue(spec);
+
+		this.formNode.classList.add('d-none');
+		this.jsonNode.classList.remove('d-none');
+	},
+
+	/**
+	 * Switch back to the form and fill it from the edited spec.
+	 */
+	handleFormMode() {
+		const spec = this.jsonEditor.getValue();
+		if (!spec) return;
+
+		const { values, notApplied } = this.specToFormValues(spec, null);
+		const notSet = this.applyFormValues(values);
+		this.extraSpec = Object.fromEntries(Object.entries(spec).filter(([key]) => !FORM_SPEC_KEYS.includes(key)));
+
+		this.jsonNode.classList.add('d-none');
+		this.formNode.classList.remove('d-none');
+
+		const kept = Object.keys(this.extraSpec);
+		const lost = [
+			...notApplied.filter((setting) => !kept.some((key) => setting.startsWith(`${UNSUPPORTED_SPEC_FLAGS[key]} `))),
+			...notSet,
+		];
+		const list = (items) => E('ul', {}, items.map((item) => E('li', {}, E('code', {}, item))));
+
+		if (kept.length === 0 && lost.length === 0) {
+			this.renderNotes('_json_mode', E('div', { class: 'field-notes mt-sm text-success' }, _('Form updated from JSON')));
+			return;
+		}
+
+		this.renderNotes('_json_mode', E('div', { class: 'field-notes alert-message warning mt-sm' }, [
+			...(kept.length > 0 ? [ E('p', {}, _('Kept from JSON (no form field):')), list(kept) ] : []),
+			...(lost.length > 0 ? [ E('p', {}, _('Could not be set in the form and were dropped:')), list(lost) ] : []),
+		]));
+	},
+
+	handleUseTemplate() {
+		const template = this.templates.find((item) => item.getName() === this.getFieldValue('_template'));
+		if (template) this.useTemplate(template);
+	},
+
+	/**
+	 * Fill the form from a template. Placeholder values are asked for first.
+	 * @param {object} template - Template model
+	 */
+	useTemplate(template) {
+		const placeholders = template.getPlaceholders();
+		if (placeholders.length === 0) {
+			this.renderTemplateNotes(this.applyFormValues(template.getValues()));
+			return;
+		}
+
+		const widgets = placeholders.map((name) => [ name, new ui.Textfield('', {
+			name: `template-var-${name}`,
+			placeholder: name,
+			optional: false,
+		}) ]);
+
+		const apply = () => {
+			widgets.forEach(([_name, widget]) => widget.triggerValidation());
+			if (widgets.some(([_name, widget]) => !widget.isValid())) return;
+
+			const vars = Object.fromEntries(widgets.map(([name, widget]) => [ name, widget.getValue().trim() ]));
+			this.renderTemplateNotes(this.applyFormValues(template.resolve(vars)));
+		};
+
+		this.renderNotes('_template_use', E('div', { class: 'field-notes mt-sm' }, [
+			E('p', {}, _('Values for the template placeholders:')),
+			...widgets.map(([name, widget]) => E('div', { class: 'd-flex align-center gap-xs mb-xs' }, [
+				E('code', {}, '${' + name + '}'),
+				widget.render(),
+			])),
+			new podmanUI.Button(_('Apply'), apply, 'apply').render(),
+		]));
+	},
+
+	/**
+	 * Set form fields from saved values, e.g. those of a template.
+	 * @param {object} values - Values by field name
+	 * @returns {string[]} Values that could not be applied
+	 */
+	applyFormValues(values) {
+		const notApplied = [];
+
+		Object.entries(values).forEach(([name, value]) => {
+			if (value === undefined) return;
+
+			const field = name.startsWith('_') ? null : this.getField(name);
+			if (!field) {
+				notApplied.push(`${name}: ${JSON.stringify(value)}`);
+				return;
+			}
+			if (field instanceof form.ListValue && !field.keylist.includes(value)) {
+				notApplied.push(_('%s "%s" is not available').format(field.title, value));
+				return;
+			}
+
+			this.setFieldValue(name, value);
+			field.getUIElement(this.section.sectiontype)?.triggerValidation();
+		});
+		this.map.checkDepends();
+
+		return notApplied;
+	},
+
+	/**
+	 * Prefill the form with the configuration of an existing container under a new name.
+	 * Static addresses are left out since they still belong to the original.
+	 * @param {object} container - Inspected container
+	 */
+	applyClone(container) {
+		const spec = container.inspectToSpec(container.ImageName || container.Config?.Image);
+		const { values, notApplied } = this.specToFormValues(spec, container, { keepAddresses: false });
+		values.name = this.uniqueName(`${values.name}-clone`);
+		notApplied.push(...this.applyFormValues(values));
+
+		this.renderNotes('name', E('div', { class: 'field-notes alert-message warning mt-sm' }, [
+			E('p', {}, _('Cloned from %s. Check host ports, volumes and addresses before creating.').format(container.getName())),
+			...(notApplied.length > 0 ? [
+				E('p', {}, _('The following settings are not supported by the form and were not copied:')),
+				E('ul', {}, notApplied.map((setting) => E('li', {}, E('code', {}, setting)))),
+			] : []),
+		]));
+	},
+
+	/**
+	 * Prefill the form for editing an existing container. Settings without a form
+	 * field are carried over unchanged by buildEditSpec().
+	 * @param {object} container - Inspected container
+	 */
+	applyEdit(container) {
+		this.editSpec = container.inspectToSpec(container.ImageName || container.Config?.Image);
+		this.excludeContainerId = container.getID();
+
+		const { values, notApplied } = this.specToFormValues(this.editSpec, container);
+		const notSet = this.applyFormValues(values);
+		this.initialValues = this.getFieldValues();
+
+		const list = (items) => E('ul', {}, items.map((item) => E('li', {}, E('code', {}, item))));
+		this.renderNotes('name', E('div', { class: 'field-notes alert-message warning mt-sm' }, [
+			E('p', {}, _('Applying the changes re-creates the container: it is stopped, removed and created again.')),
+			...(notApplied.length > 0 ? [ E('p', {}, _('Kept unchanged (not editable here):')), list(notApplied) ] : []),
+			...(notSet.length > 0 ? [ E('p', {}, _('Could not be set in the form and will be lost:')), list(notSet) ] : []),
+		]));
+	},
+
+	/**
+	 * Validate the form and build the spec that replaces the edited container.
+	 * @returns {Promise<{spec: object, changes: Array<{label: string, before: string, after: string}>}|null>}
+	 *   Spec and changed fields, or null when the form is invalid
+	 */
+	async buildEditSpec() {
+		if (!this.isValid()) {
+			this.scrollToInvalid();
+			return null;
+		}
+
+		await this.save();
+
 		const data = this.getFieldValues();
+		const spec = await this.buildSpec(data);
+		const previous = this.editSpec;
+
+		Object.keys(UNSUPPORTED_SPEC_FLAGS).forEach((key) => {
+			if (previous[key] != null) spec[key] = previous[key];
+		});
+		(previous.portmappings || []).forEach((mapping) => {
+			if (!mapping.host_port) {
+				(spec.portmappings = spec.portmappings || []).push(mapping);
+				return;
+			}
+
+			const kept = (spec.portmappings || []).find((item) => item.host_port === mapping.host_port
+				&& item.container_port === mapping.container_port && item.protocol === mapping.protocol);
+			if (kept && mapping.host_ip) kept.host_ip = mapping.host_ip;
+		});
+		(spec.mounts || []).filter((mount) => mount.Type !== 'tmpfs').forEach((mount) => {
+			const original = (previous.mounts || []).find((item) => item.Type !== 'tmpfs'
+				&& item.Source === mount.Source && item.Destination === mount.Destination);
+			const extra = (original?.options || []).filter((o) => !FORM_MOUNT_OPTIONS.includes(o));
+			if (extra.length > 0) mount.options = (mount.options || []).concat(extra);
+		});
+
+		return { spec, changes: this.getChanges(data) };
+	},
+
+	/**
+	 * Fields that differ from the values the form was prefilled with.
+	 * @param {object} data - Current form values
+	 * @returns {Array<{label: string, before: string, after: string}>}
+	 */
+	getChanges(data) {
+		const display = (field, value) => {
+			if (field instanceof form.Flag) return value === '1' ? _('Yes') : _('No');
+			return Array.isArray(value) ? value.join('\n') : String(value ?? '');
+		};
+
+		return Object.entries(data)
+			.filter(([name]) => !name.startsWith('_'))
+			.map(([name, value]) => {
+				const field = this.getField(name);
+				return { label: field.title, before: display(field, this.initialValues[name]), after: display(field, value) };
+			})
+			.filter((change) => change.before !== change.after);
+	},
+
+	/**
+	 * First free container name based on `base` (base, base-2, base-3, ...).
+	 * @param {string} base - Preferred name
+	 * @returns {string}
+	 */
+	uniqueName(base) {
+		const names = new Set(this.containers.map((container) => container.getName()));
+		let name = base;
+		for (let i = 2; names.has(name); i++) name = `${base}-${i}`;
+		return name;
+	},
+
+	async handleImageChange(ref) {
+		if (!ref) return;
+
+		const inspected = await Image.getSingleton({ Id: ref }).inspectSilent().catch(() => null);
+		if (inspected) this.applyImageDefaults(Image.getSingleton(inspected), ref);
+	},
+
+	/**
+	 * Suggest port mappings and named volumes from the image metadata and show its
+	 * defaults as placeholders. Fields the user filled in are left alone.
+	 * @param {object} image - Inspected image
+	 * @param {string} ref - Image reference selected in the form
+	 */
+	applyImageDefaults(image, ref) {
+		const previous = this.imageDefaults || {};
+		const untouched = (name) => !this.getFieldValue(name) || this.getFieldValue(name) === previous[name];
+		const suggested = {};
+
+		if (!this.editContainer) {
+			// Drop the suggestions of the previously selected image
+			Object.keys(previous).filter(untouched).forEach((name) => {
+				suggested[name] = '';
+			});
+
+			const exposed = image.getExposedPorts();
+			if (exposed.length > 0 && !this.getFieldValue('pod') && untouched('ports')) {
+				suggested.ports = this.suggestPortMappings(exposed).join('\n');
+			}
+
+			const volumes = image.getVolumes();
+			if (volumes.length > 0 && untouched('volumes')) {
+				const prefix = this.getFieldValue('name') || ref.split('@')[0].replace(/:[^/]*$/, '').split('/').pop();
+				suggested.volumes = volumes.map((path) =>
+					`${prefix}-${path.replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9_.-]+/g, '-')}:${path}`).join('\n');
+			}
+
+			this.applyFormValues(suggested);
+			this.imageDefaults = Object.fromEntries(Object.entries(suggested).filter(([, value]) => value));
+		}
+
+		const env = image.getEnv().filter((variable) => !variable.startsWith('PATH='));
+		this.setFieldPlaceholder('command', image.getCommand().join(' '));
+		this.setFieldPlaceholder('env', env.join('\n'));
+		this.setFieldPlaceholder('user', image.getUser());
+		this.setFieldPlaceholder('workdir', image.getWorkingDir());
+
+		const defaults = [
+			[ _('Entrypoint'), image.getEntrypoint().join(' ') ],
+			[ _('Command'), image.getCommand().join(' ') ],
+			[ _('User'), image.getUser() ],
+			[ _('Working Directory'), image.getWorkingDir() ],
+		].filter(([, value]) => value);
+		const prefilled = [
+			suggested.ports ? _('port mappings') : '',
+			suggested.volumes ? _('named volumes') : '',
+		].filter((item) => item);
+
+		this.renderNotes('image', E('div', { class: 'field-notes mt-sm' }, [
+			...(prefilled.length > 0 ? [ E('p', {}, _('Suggested from the image: %s. Adjust them as needed.').format(prefilled.join(', '))) ] : []),
+			...(defaults.length > 0 ? [ E('ul', {}, defaults.map(([label, value]) =>
+				E('li', {}, [ `${label}: `, E('code', {}, value) ]))) ] : []),
+			...(env.length > 0 ? [ E('p', {}, _('%d environment variables are set by the image; see the placeholder of Environment Variables.').format(env.length)) ] : []),
+		]));
+	},
+
+	/**
+	 * Host port mapping per exposed port, using the same port number when it is free.
+	 * Privileged ports that are taken move to 8000+port (e.g., 80 to 8080), others to the next free port.
+	 * @param {Array<{port: number, protocol: string}>} exposed - Exposed container ports
+	 * @returns {string[]} Port mappings (host:container[/protocol])
+	 */
+	suggestPortMappings(exposed) {
+		const taken = new Set();
+
+		return exposed.map(({ port, protocol }) => {
+			const isFree = (hostPort) => !taken.has(`${hostPort}/${protocol}`)
+				&& this.findPortConflicts(`${hostPort}:${port}/${protocol}`).length === 0;
+
+			let hostPort = port;
+			if (!isFree(hostPort) && port < 1024) hostPort = 8000 + port;
+			while (hostPort < 65535 && !isFree(hostPort)) hostPort++;
+			taken.add(`${hostPort}/${protocol}`);
+
+			return protocol === 'tcp' ? `${hostPort}:${port}` : `${hostPort}:${port}/${protocol}`;
+		});
+	},
+
+	/**
+	 * Replace the placeholder of a rendered field, falling back to the one it was defined with.
+	 * @param {string} name - Field name
+	 * @param {string} text - Placeholder text
+	 */
+	setFieldPlaceholder(name, text) {
+		const input = this.map.root.querySelector(`.cbi-value[data-name="${name}"] .cbi-value-field :is(input, textarea)`);
+		if (input) input.placeholder = text || this.getField(name).placeholder || '';
+	},
+
+	/**
+	 * Host ports of the port mappings that are already taken by containers, pods or the router.
+	 * @param {string} text - Port mappings, one `host:container[/protocol]` per line
+	 * @returns {string[]} Conflicts with their owner
+	 */
+	findPortConflicts(text) {
+		return Container.findPortConflicts(text, {
+			containers: this.containers,
+			hostPorts: this.hostPorts,
+			excludeId: this.excludeContainerId,
+		});
+	},
+
+	/**
+	 * Convert a spec (see Container.inspectToSpec()) back into form values.
+	 * @param {object} spec - Container spec
+	 * @param {object|null} container - Inspected container the spec was taken from, if any
+	 * @param {{keepAddresses: boolean}} [options] - Keep static IPs and MAC addresses
+	 * @returns {{values: object, notApplied: string[]}} Values and settings the form cannot represent
+	 */
+	specToFormValues(spec, container, { keepAddresses = true } = {}) {
+		const values = {};
+		const notApplied = [];
+		const flag = (value) => value ? '1' : '0';
+		const keyValueLines = (object) => Object.entries(object).map(([key, value]) => `${key}=${value}`).join('\n');
+
+		values.name = spec.name || '';
+		values.image = this._matchImage(spec.image, this.getField('image').keylist) || spec.image;
+		const podRef = spec.pod || container?.Pod;
+		values.pod = podRef ? (this.pods.find((pod) => pod.getID() === podRef || pod.getName() === podRef)?.getName() || '') : '';
+		values.command = (spec.command || []).join(' ');
+
+		values.ports = (spec.portmappings || []).filter((mapping) => {
+			if (mapping.host_port) return true;
+			notApplied.push(`--publish ${mapping.container_port}/${mapping.protocol}`);
+			return false;
+		}).map((mapping) => {
+			if (mapping.host_ip) notApplied.push(`--publish ${mapping.host_ip}:${mapping.host_port}:${mapping.container_port}`);
+			const protocol = mapping.protocol && mapping.protocol !== 'tcp' ? `/${mapping.protocol}` : '';
+			return `${mapping.host_port}:${mapping.container_port}${protocol}`;
+		}).join('\n');
+		values.expose = Object.entries(spec.expose || {})
+			.map(([port, protocol]) => protocol === 'tcp' ? port : `${port}/${protocol}`).join(', ');
+
+		// The timezone field re-creates the /etc/localtime bind and TZ variable
+		const env = Object.assign({}, spec.env);
+		const mounts = (spec.mounts || []).filter((mount) => mount.Destination !== '/etc/localtime');
+		const tzZone = env.TZ && Object.keys(this.timezones).find((zone) => this.timezones[zone].tzstring === env.TZ);
+		if (spec.timezone) {
+			values.timezone = spec.timezone;
+		} else if (mounts.length !== (spec.mounts || []).length) {
+			values.timezone = this.hostZone;
+		} else if (tzZone) {
+			values.timezone = tzZone;
+			delete env.TZ;
+		} else {
+			values.timezone = '';
+		}
+
+		values.env = keyValueLines(env);
+		values.secrets = container ? container.getSecretOptions() : specSecretOptions(spec);
+		values.volumes = [
+			...(spec.volumes || []).map((volume) => [ volume.Name, volume.Dest, (volume.Options || []).join(',') ]),
+			...mounts.filter((mount) => mount.Type !== 'tmpfs').map((mount) => [
+				mount.Source,
+				mount.Destination,
+				[ mount.ReadOnly ? 'ro' : '', ...(mount.options || []).filter((o) => o === 'z' || o === 'Z') ]
+					.filter((o) => o).join(','),
+			]),
+		].map((parts) => parts.filter((part) => part).join(':')).join('\n');
+		mounts.filter((mount) => mount.Type !== 'tmpfs').forEach((mount) => {
+			const extra = (mount.options || []).filter((o) => !FORM_MOUNT_OPTIONS.includes(o));
+			if (extra.length > 0) notApplied.push(`--volume ${mount.Source}:${mount.Destination}:${extra.join(',')}`);
+		});
+		values.tmpfs = mounts.filter((mount) => mount.Type === 'tmpfs').map((mount) =>
+			(mount.Options || []).length > 0 ? `${mount.Destination}:${mount.Options.join(',')}` : mount.Destination);
+		values.devices = (spec.devices || []).map((device) => device.path);
+		values.ulimits = (spec.r_limits || []).map((limit) =>
+			`${limit.type.replace(/^RLIMIT_/i, '').toLowerCase()}=${limit.soft}:${limit.hard}`);
+		values.sysctls = Object.entries(spec.sysctl || {}).map(([key, value]) => `${key}=${value}`);
+
+		// Networks: the first one is the primary, the rest are additional attachments
+		const attachments = Object.entries(spec.networks || {}).map(([name, options]) => {
+			const ips = keepAddresses ? (options.static_ips || []) : [];
+			return {
+				name,
+				ip: ips.find((ip) => !ip.includes(':')) || '',
+				ip6: ips.find((ip) => ip.includes(':')) || '',
+				mac: keepAddresses ? (options.static_mac || '') : '',
+				aliases: options.aliases || [],
+			};
+		});
+		if (spec.netns) {
+			values.network = spec.netns.nsmode;
+			if (spec.netns.nsmode === 'container') {
+				const peer = this.containers.find((item) => item.getID().startsWith(spec.netns.value));
+				values.network_container = peer ? peer.getName() : spec.netns.value;
+			}
+		} else if (attachments.length > 0) {
+			const [primary, ...additional] = attachments;
+			values.network = primary.name;
+			values.ip4 = primary.ip;
+			values.ip6 = primary.ip6;
+			values.mac = primary.mac;
+			values.aliases = primary.aliases;
+			values.additional_networks = additional.map(({ name, ip, ip6, mac, aliases }) => [
+				ip ? `ip=${ip}` : '', ip6 ? `ip6=${ip6}` : '', mac ? `mac=${mac}` : '',
+				...aliases.map((alias) => `alias=${alias}`),
+			].filter((option) => option).reduce((value, option, i) => `${value}${i ? ',' : ':'}${option}`, name));
+		} else if (!values.pod) {
+			values.network = 'bridge';
+		}
+
+		values.restart = spec.restart_policy || 'no';
+		values.restart_retries = spec.restart_tries ? String(spec.restart_tries) : '';
+		values.privileged = flag(spec.privileged);
+		values.cap_add = spec.cap_add || [];
+		values.cap_drop = spec.cap_drop || [];
+		values.read_only = flag(spec.read_only_filesystem);
+		values.no_new_privileges = flag(spec.no_new_privileges);
+		values.seccomp_profile = spec.seccomp_profile_path || '';
+		values.selinux_opts = spec.selinux_opts || [];
+		values.apparmor_profile = spec.apparmor_profile || '';
+		values.tty = flag(spec.terminal);
+		values.remove = flag(spec.remove);
+		values.workdir = spec.work_dir || '';
+		// Podman defaults the hostname to the short container ID
+		values.hostname = spec.hostname && !container?.getID().startsWith(spec.hostname) ? spec.hostname : '';
+		values.user = spec.user || '';
+		values.groups = (spec.groups || []).join(', ');
+
+		const labels = Object.assign({}, spec.labels);
+		values.autoupdate = flag(labels['io.containers.autoupdate'] === 'registry');
+		delete labels['io.containers.autoupdate'];
+		delete labels[c.SECRETS_LABEL];
+		delete labels[c.LOG_SIZE_LABEL];
+		values.labels = keyValueLines(labels);
+
+		const limits = spec.resource_limits || {};
+		values.cpus = limits.cpu?.quota ? String(limits.cpu.quota / (limits.cpu.period || 100000)) : '';
+		values.memory = limits.memory?.limit ? formatMemory(limits.memory.limit) : '';
+
+		const log = spec.log_configuration || {};
+		values.log_driver = log.driver || '';
+		values.log_max_size = log.size ? formatMemory(log.size) : '';
+		values.log_tag = log.options?.tag || '';
+
+		const health = spec.healthconfig;
+		const test = health?.Test || [];
+		if (test[0] === 'CMD-SHELL' || test[0] === 'CMD') {
+			values.health_cmd = test.slice(1).join(' ');
+			values.health_interval = health.Interval ? podmanUtil.format.shortDuration(health.Interval) : '';
+			values.health_timeout = health.Timeout ? podmanUtil.format.shortDuration(health.Timeout) : '';
+			values.health_retries = health.Retries ? String(health.Retries) : '';
+			values.health_start_period = health.StartPeriod ? podmanUtil.format.shortDuration(health.StartPeriod) : '';
+			values.health_on_failure = Object.keys(c.HEALTH_ON_FAILURE_ACTIONS)
+				.find((action) => c.HEALTH_ON_FAILURE_ACTIONS[action] === spec.health_check_on_failure_action) || 'none';
+		}
+
+		// SIGTERM and 10 seconds are what Podman sets when nothing was given
+		const defaults = { stop_signal: 15, stop_timeout: 10 };
+		Object.entries(UNSUPPORTED_SPEC_FLAGS).forEach(([key, flagName]) => {
+			if (spec[key] != null && spec[key] !== defaults[key]) notApplied.push(`${flagName} ${JSON.stringify(spec[key])}`);
+		});
+
+		return { values, notApplied };
+	},
+
+	async handleSaveTemplate() {
+		const name = this.getFieldValue('_template_name');
+		if (!name || !this.getField('_template_name').isValid(this.section.sectiontype)) {
+			return;
+		}
+
+		if (this.templates.some((template) => template.getName() === name) && this.confirmedOverwrite !== name) {
+			this.confirmedOverwrite = name;
+			this.renderNotes('_template_save', E('div', { class: 'field-notes alert-message warning mt-sm' },
+				_('A template named "%s" already exists. Click "Save template" again to replace it.').format(name)));
+			return;
+		}
+		this.confirmedOverwrite = null;
+
+		const template = Template.fromFormValues(name, this.getFieldValue('_template_description') || '', this.getFieldValues());
+		try {
+			await template.save();
+		} catch (err) {
+			this.renderNotes('_template_save', E('div', { class: 'field-notes mt-sm text-error' },
+				_('Template "%s" could not be saved: %s').format(name, err.message || String(err))));
+			return;
+		}
+
+		this.templates = this.templates.filter((item) => item.getName() !== name).concat(template);
+		this.renderNotes('_template_save', E('div', { class: 'field-notes mt-sm text-success' },
+			_('Template "%s" saved').format(name)));
+	},
+
+	renderTemplateNotes(notApplied) {
+		if (notApplied.length === 0) {
+			this.renderNotes('_template_use', E('div', { class: 'field-notes mt-sm text-success' }, _('Template applied')));
+			return;
+		}
+
+		this.renderNotes('_template_use', E('div', { class: 'field-notes alert-message warning mt-sm' }, [
+			E('p', {}, _('The following template values could not be applied:')),
+			E('ul', {}, notApplied.map((value) => E('li', {}, E('code', {}, value)))),
+		]));
+	},
+
+	/**
+	 * Show the paste / upload area for a .env file below the Environment Variables field.
+	 */
+	handleEnvImport() {
+		const textarea = E('textarea', {
+			class: 'cbi-input-textarea',
+			rows: 6,
+			spellcheck: 'false',
+			placeholder: '# .env\nDB_HOST=db\nDB_PASSWORD="s3cret"',
+		});
+		const fileInput = E('input', { type: 'file', accept: '.env,text/plain', class: 'hidden' });
+		fileInput.addEventListener('change', async (ev) => {
+			const file = ev.target.files[0];
+			if (file) textarea.value = await file.text();
+		});
+
+		this.renderNotes('_env_import', E('div', { class: 'field-notes mt-sm' }, [
+			E('p', {}, _('Paste the content of a .env file or choose one:')),
+			textarea,
+			fileInput,
+			E('div', { class: 'd-flex gap-xs mt-sm' }, [
+				new podmanUI.Button(_('Choose file'), () => fileInput.click()).render(),
+				new podmanUI.Button(_('Import'), () => this.importEnvFile(textarea.value), 'apply').render(),
+			]),
+		]));
+	},
+
+	/**
+	 * Merge the variables of a .env file into the Environment Variables field.
+	 * Values from the file replace those already in the field.
+	 * @param {string} text - .env file content
+	 */
+	importEnvFile(text) {
+		const { entries, errors } = podmanUtil.cli.parseEnvFile(text);
+		const env = new Map();
+		(this.getFieldValue('env') || '').split('\n').forEach((line) => {
+			const [key, value] = line.split(/=(.*)/);
+			if (key.trim()) env.set(key.trim(), (value ?? '').trim());
+		});
+
+		const warnings = errors.map((line) => _('Line %d could not be parsed').format(line));
+		const multiline = [];
+		const seen = new Set();
+
+		entries.forEach(({ key, value, line }) => {
+			if (seen.has(key)) {
+				warnings.push(_('%s is defined more than once, the value from line %d is used').format(key, line));
+			} else if (env.has(key) && env.get(key) !== value) {
+				warnings.push(_('%s replaces the value already in the form').format(key));
+			}
+			seen.add(key);
+
+			if (value.includes('\n')) {
+				multiline.push(key);
+				return;
+			}
+			env.set(key, value);
+		});
+		multiline.forEach((key) =>
+			warnings.push(_('%s has a multi-line value, which the field cannot hold').format(key)));
+
+		this.setFieldValue('env', Array.from(env, ([key, value]) => `${key}=${value}`).join('\n'));
+
+		const values = Object.fromEntries(entries.map(({ key, value }) => [ key, value ]));
+		const candidates = Array.from(seen).filter((key) => SECRET_ENV_NAME.test(key) || multiline.includes(key));
+
+		this.renderNotes('_env_import', E('div', { class: `field-notes mt-sm ${warnings.length > 0 ? 'alert-message warning' : ''}` }, [
+			E('p', { class: warnings.length > 0 ? '' : 'text-success' },
+				_('%d variables imported').format(entries.length - multiline.length)),
+			...(warnings.length > 0 ? [ E('ul', {}, warnings.map((warning) => E('li', {}, warning))) ] : []),
+			...(candidates.length > 0 ? [ this.renderEnvSecretOffer(candidates, values) ] : []),
+		]));
+	},
+
+	/**
+	 * Offer to move secret-looking (and multi-line) variables into Podman secrets.
+	 * @param {string[]} keys - Variable names
+	 * @param {Object<string, string>} values - Variable values by name
+	 * @returns {Node}
+	 */
+	renderEnvSecretOffer(keys, values) {
+		const checkboxes = keys.map((key) => {
+			const checkbox = new ui.Checkbox(1);
+			const checkboxNode = checkbox.render();
+			return { key, checkbox, node: E('div', { class: 'd-flex align-center checkbox-with-label mb-xs' }, [
+				checkboxNode,
+				E('label', { for: checkboxNode.querySelector('input').id }, E('code', {}, key)),
+			]) };
+		});
+
+		const store = async () => {
+			const selected = checkboxes.filter(({ checkbox }) => checkbox.isChecked()).map(({ key }) => key);
+			if (selected.length === 0) return;
+
+			const { created, failed } = await this.storeEnvSecrets(selected, values);
+			this.renderNotes('_env_import', E('div', { class: 'field-notes mt-sm' }, [
+				...(created.length > 0 ? [ E('p', { class: 'text-success' }, _('Stored as secrets: %s').format(created.join(', '))) ] : []),
+				...(failed.length > 0 ? [
+					E('p', { class: 'text-error' }, _('Could not be stored and kept as environment variables:')),
+					E('ul', {}, failed.map(({ key, message }) => E('li', {}, [ E('code', {}, key), `: ${message}` ]))),
+				] : []),
+			]));
+		};
+
+		return E('div', { class: 'mt-sm' }, [
+			E('p', {}, _('These look like credentials. Store them as Podman secrets instead of plain environment variables?')),
+			...checkboxes.map(({ node }) => node),
+			new podmanUI.Button(_('Store as secrets'), store, 'save').render(),
+		]);
+	},
+
+	/**
+	 * Create a Podman secret per variable, then swap the variables in the form
+	 * for `type=env` secret options. Variables whose secret could not be created stay.
+	 * @param {string[]} keys - Variable names
+	 * @param {Object<string, string>} values - Variable values by name
+	 * @returns {Promise<{created: string[], failed: Array<{key: string, message: string}>}>}
+	 *   Names of the created secrets and the variables that failed
+	 */
+	async storeEnvSecrets(keys, values) {
+		const prefix = (this.getFieldValue('name') || 'container').replace(/[^a-zA-Z0-9_-]/g, '_');
+		const options = [].concat(this.getFieldValue('secrets') || []);
+		const removed = new Set();
+		const created = [];
+		const failed = [];
+
+		for (const key of keys) {
+			const base = `${prefix}_${key.toLowerCase().replace(/[^a-z0-9_-]/g, '_')}`;
+			let name = base;
+			for (let i = 2; this.secretNames.includes(name); i++) name = `${base}_${i}`;
+
+			try {
+				const result = await podmanRPC.secrets.create(name, values[key]);
+				if (result?.error) throw new Error(result.error);
+			} catch (err) {
+				failed.push({ key, message: err.message || String(err) });
+				continue;
+			}
+
+			this.secretNames.push(name);
+			options.push(`${name},type=env,target=${key}`);
+			removed.add(key);
+			created.push(name);
+		}
+
+		const env = (this.getFieldValue('env') || '').split('\n')
+			.filter((line) => !removed.has(line.split('=')[0].trim()));
+		this.setFieldValue('env', env.join('\n'));
+		this.setFieldValue('secrets', options);
+
+		return { created, failed };
+	},
+
+	handleImportCli() {
+		const command = this.getFieldValue('_cli');
+		if (!command || !command.trim()) {
+			return;
+		}
+
+		this.renderCliNotes(this.applyCliCommand(command));
+	},
+
+	/**
+	 * Fill the form from a `podman run` command line or a CreateCommand array.
+	 * @param {string|string[]} command - Command to import
+	 * @returns {string[]} Flags and values that could not be applied to the form
+	 */
+	applyCliCommand(command) {
+		const parsed = podmanUtil.cli.parseRunCommand(command);
+		const notImported = [];
+		const values = {};
+		const lists = { ports: [], env: [], volumes: [], labels: [] };
+		const arrays = {
+			secrets: [], devices: [], tmpfs: [], ulimits: [], sysctls: [], cap_add: [], cap_drop: [], selinux_opts: [],
+			aliases: [], additional_networks: [],
+		};
+		const isTrue = (value) => value === true || value === 'true';
+		const simpleFields = {
+			name: 'name', user: 'user', workdir: 'workdir', hostname: 'hostname', cpus: 'cpus', memory: 'memory',
+		};
+
+		parsed.options.forEach(({ name, value, arg }) => {
+			const raw = value === true ? arg : `${arg} ${value}`;
+
+			switch (name) {
+			case 'publish':
+				if (/^\d+:\d+(\/(tcp|udp|sctp))?$/i.test(value)) lists.ports.push(value);
+				else notImported.push(raw);
+				break;
+			case 'env':
+				if (value.includes('=')) lists.env.push(value);
+				else notImported.push(raw);
+				break;
+			case 'volume':
+				lists.volumes.push(value);
+				break;
+			case 'secret':
+				arrays.secrets.push(value);
+				break;
+			case 'device':
+				arrays.devices.push(value);
+				break;
+			case 'tmpfs':
+				arrays.tmpfs.push(value);
+				break;
+			case 'tz':
+				values.timezone = value;
+				break;
+			case 'log-driver':
+				values.log_driver = value;
+				break;
+			case 'log-opt': {
+				const [key, optionValue] = value.split(/=(.*)/);
+				if (key === 'max-size') values.log_max_size = optionValue;
+				else if (key === 'tag') values.log_tag = optionValue;
+				else notImported.push(raw);
+				break;
+			}
+			case 'ulimit':
+				arrays.ulimits.push(value);
+				break;
+			case 'sysctl':
+				arrays.sysctls.push(value);
+				break;
+			case 'cap-add':
+			case 'cap-drop':
+				arrays[name.replace('-', '_')].push(...value.split(',').map((cap) =>
+					cap === 'ALL' || cap.startsWith('CAP_') ? cap : `CAP_${cap.toUpperCase()}`));
+				break;
+			case 'read-only':
+				values.read_only = isTrue(value) ? '1' : '0';
+				break;
+			case 'security-opt': {
+				const [, opt, optValue] = value.match(/^([^=:]+)[=:]?(.*)$/) || [];
+				if (opt === 'no-new-privileges') values.no_new_privileges = optValue === 'false' ? '0' : '1';
+				else if (opt === 'seccomp') values.seccomp_profile = optValue;
+				else if (opt === 'apparmor') values.apparmor_profile = optValue;
+				else if (opt === 'label') arrays.selinux_opts.push(optValue);
+				else notImported.push(raw);
+				break;
+			}
+			case 'label':
+				if (value === 'io.containers.autoupdate=registry') values.autoupdate = '1';
+				else lists.labels.push(value);
+				break;
+			case 'network':
+			case 'net': {
+				if (values.network) {
+					arrays.additional_networks.push(value);
+					break;
+				}
+
+				const attachment = podmanUtil.cli.parseNetworkOption(value);
+				values.network = attachment.name;
+				if (attachment.name === 'container') {
+					values.network_container = value.substring('container:'.length);
+					break;
+				}
+				if (attachment.ip) values.ip4 = attachment.ip;
+				if (attachment.ip6) values.ip6 = attachment.ip6;
+				if (attachment.mac) values.mac = attachment.mac;
+				arrays.aliases.push(...attachment.aliases);
+				attachment.unknown.forEach((option) => notImported.push(`${arg} ${attachment.name}:${option}`));
+				break;
+			}
+			case 'ip':
+				values.ip4 = value;
+				break;
+			case 'ip6':
+				values.ip6 = value;
+				break;
+			case 'mac-address':
+				values.mac = value;
+				break;
+			case 'network-alias':
+				arrays.aliases.push(value);
+				break;
+			case 'restart': {
+				const [policy, retries] = value.split(':');
+				values.restart = policy;
+				if (policy === 'on-failure' && /^\d+$/.test(retries || '')) values.restart_retries = retries;
+				break;
+			}
+			case 'privileged':
+				values.privileged = isTrue(value) ? '1' : '0';
+				break;
+			case 'tty':
+				values.tty = isTrue(value) ? '1' : '0';
+				break;
+			case 'rm':
+				values.remove = isTrue(value) ? '1' : '0';
+				break;
+			case 'detach':
+				break;
+			default:
+				if (simpleFields[name]) values[simpleFields[name]] = value;
+				else notImported.push(raw);
+			}
+		});
+
+		Object.entries(lists).forEach(([field, list]) => {
+			if (list.length > 0) values[field] = list.join('\n');
+		});
+
+		Object.entries(arrays).forEach(([field, list]) => {
+			if (list.length > 0) values[field] = list;
+		});
+
+		if (parsed.command.length > 0) {
+			values.command = parsed.command.join(' ');
+			if (parsed.command.some((arg) => /\s/.test(arg))) {
+				notImported.push(_('Command arguments containing spaces: %s').format(JSON.stringify(parsed.command)));
+			}
+		}
+
+		values.start = parsed.start ? '1' : '0';
+
+		const selectable = {
+			image: this._matchImage(parsed.image, this.getField('image').keylist),
+			network: values.network,
+			network_container: values.network_container,
+			restart: values.restart,
+			log_driver: values.log_driver,
+			timezone: values.timezone,
+		};
+		delete values.network;
+		delete values.network_container;
+		delete values.restart;
+		delete values.log_driver;
+		delete values.timezone;
+
+		Object.entries(selectable).forEach(([field, value]) => {
+			if (!value) return;
+			if (this.getField(field).keylist.includes(value)) {
+				values[field] = value;
+			} else {
+				notImported.push(`--${field} ${value}`);
+			}
+		});
+		if (parsed.image && !selectable.image) {
+			notImported.push(_('Image %s is not available locally, pull it first').format(parsed.image));
+		}
+
+		Object.entries(values).forEach(([field, value]) => this.setFieldValue(field, value));
+		this.map.checkDepends();
+
+		return notImported;
+	},
+
+	_matchImage(ref, available) {
+		if (!ref) return null;
+
+		const tagged = ref.includes('@') || /:[^/]+$/.test(ref) ? ref : `${ref}:latest`;
+		const candidates = [ ref, tagged, `docker.io/${tagged}`, `docker.io/library/${tagged}`, `localhost/${tagged}` ];
+
+		return candidates.find((candidate) => available.includes(candidate)) || null;
+	},
+
+	renderCliNotes(notImported) {
+		if (notImported.length === 0) {
+			this.renderNotes('_cli_import', E('div', { class: 'field-notes mt-sm text-success' }, _('All flags imported')));
+			return;
+		}
+
+		this.renderNotes('_cli_import', E('div', { class: 'field-notes alert-message warning mt-sm' }, [
+			E('p', {}, _('The following flags are not supported by the form and were not imported:')),
+			E('ul', {}, notImported.map((flag) => E('li', {}, E('code', {}, flag)))),
+		]));
+	},
+
+	/**
+	 * Show notes below a form field, replacing earlier ones.
+	 * @param {string} fieldName - Field to show the notes for
+	 * @param {Node} notes - Notes element (class `field-notes`)
+	 */
+	renderNotes(fieldName, notes) {
+		const fieldNode = this.map.root.querySelector(`.cbi-value[data-name="${fieldName}"] .cbi-value-field`);
+		if (!fieldNode) return;
+
+		fieldNode.querySelector('.field-notes')?.remove();
+		fieldNode.appendChild(notes);
+	},
+
+	/**
+	 * Whether a sysctl is namespaced and may therefore be set per container.
+	 * @param {string} key - Sysctl name (e.g., "net.ipv4.ip_forward")
+	 * @returns {boolean}
+	 */
+	isNamespacedSysctl(key) {
+		return /^(net|fs\.mqueue)\.[\w.\-\/]+$/.test(key)
+			|| /^kernel\.(msgmax|msgmnb|msgmni|sem|shmall|shmmax|shmmni|shm_rmid_forced)$/.test(key);
+	},
+
+	/**
+	 * Build the networks map: the primary network from the form fields plus
+	 * additional attachments in `name[:ip=..,ip6=..,mac=..,alias=..]` notation.
+	 * @param {object} data - Form values
+	 * @returns {Object<string, object>} PerNetworkOptions by network name
+	 */
+	networkOptions(data) {
+		const toOptions = ({ ip, ip6, mac, aliases }) => {
+			const options = {};
+			const staticIps = [ ip, ip6 ].filter((address) => address);
+			if (staticIps.length > 0) options.static_ips = staticIps;
+			if (mac) options.static_mac = mac;
+			if (aliases && aliases.length > 0) options.aliases = aliases;
+			return options;
+		};
+
+		const networks = {
+			[data.network]: toOptions({ ip: data.ip4, ip6: data.ip6, mac: data.mac, aliases: data.aliases }),
+		};
+		(data.additional_networks || []).forEach((value) => {
+			const attachment = podmanUtil.cli.parseNetworkOption(value);
+			networks[attachment.name] = toOptions(attachment);
+		});
+
+		return networks;
+	},
+
+	/**
+	 * Build the container spec (SpecGenerator) from form values.
+	 * @param {object} data - Form values
+	 * @returns {Promise<object>} Spec for container_create
+	 */
+	async buildSpec(data) {
 		const spec = {
 			image: data.image,
 			privileged: Boolean(parseInt(data.privileged)),
@@ -209,7 +1647,10 @@ const PodmanFormContainer = podmanView.form.extend({
 		if (data.pod) spec.pod = data.pod;
 		if (data.command) spec.command = data.command.split(/\s+/).filter((c) => c.length > 0);
 
-		if (!data.pod && data.ports) {
+		// Pod members and container:<name> mode share the network namespace of another container
+		const ownNetwork = !data.pod && data.network !== 'container';
+
+		if (ownNetwork && data.ports) {
 			spec.portmappings = [];
 			data.ports.split('\n').forEach((line) => {
 				const trimmed = line.trim();
@@ -269,23 +1710,60 @@ const PodmanFormContainer = podmanView.form.extend({
 			if (mounts.length > 0) spec.mounts = mounts;
 			if (volumes.length > 0) spec.volumes = volumes;
 		}
+		if (data.tmpfs && data.tmpfs.length > 0) {
+			spec.mounts = (spec.mounts || []).concat(data.tmpfs.map((value) => {
+				const [path, options] = value.split(/:(.*)/);
+				return { Type: 'tmpfs', Source: 'tmpfs', Destination: path, Options: options ? options.split(',') : [] };
+			}));
+		}
+		if (data.ulimits && data.ulimits.length > 0) {
+			spec.r_limits = data.ulimits.map((value) => {
+				const [, name, soft, hard] = value.match(/^([a-z]+)=(\d+)(?::(\d+))?$/);
+				return { type: `RLIMIT_${name.toUpperCase()}`, soft: +soft, hard: +(hard ?? soft) };
+			});
+		}
+		if (data.sysctls && data.sysctls.length > 0) {
+			spec.sysctl = {};
+			data.sysctls.forEach((value) => {
+				const [key, sysctlValue] = value.split(/=(.*)/);
+				spec.sysctl[key.trim()] = sysctlValue.trim();
+			});
+		}
+		if (data.devices && data.devices.length > 0) {
+			spec.devices = data.devices.map((path) => ({ path }));
+		}
 		if (!data.pod) {
 			if (data.network === 'host') {
 				spec.netns = { nsmode: 'host' };
 			} else if (data.network === 'none') {
 				spec.netns = { nsmode: 'none' };
+			} else if (data.network === 'container') {
+				spec.netns = { nsmode: 'container', value: data.network_container };
 			} else if (data.network && data.network !== 'bridge') {
-				spec.networks = { [data.network]: {} };
+				spec.networks = this.networkOptions(data);
 			}
 		}
+		const toList = (value) => Array.isArray(value)
+			? value
+			: (typeof value === 'string' && value.trim() ? value.trim().split(/\s+/) : []);
+		const capAdd = toList(data.cap_add);
+		const capDrop = toList(data.cap_drop);
+		if (!spec.privileged && capAdd.length > 0) spec.cap_add = capAdd;
+		if (!spec.privileged && capDrop.length > 0) spec.cap_drop = capDrop;
+		if (data.read_only === '1') spec.read_only_filesystem = true;
+		if (data.no_new_privileges === '1') spec.no_new_privileges = true;
+		if (data.seccomp_profile) spec.seccomp_profile_path = data.seccomp_profile;
+		if (data.selinux_opts && data.selinux_opts.length > 0) spec.selinux_opts = data.selinux_opts;
+		if (data.apparmor_profile) spec.apparmor_profile = data.apparmor_profile;
 		if (data.restart !== 'no') spec.restart_policy = data.restart;
+		if (data.restart === 'on-failure' && data.restart_retries) spec.restart_tries = parseInt(data.restart_retries, 10);
 		if (data.workdir) spec.work_dir = data.workdir;
-		if (!data.pod && data.hostname) spec.hostname = data.hostname;
+		if (ownNetwork && data.hostname) spec.hostname = data.hostname;
 		if (data.user) spec.user = data.user;
 		if (data.groups) {
 			spec.groups = data.groups.split(',').map((g) => g.trim()).filter((g) => g);
 		}
-		if (!data.pod && data.expose) {
+		if (ownNetwork && data.expose) {
 			spec.expose = {};
 			data.expose.split(',').forEach((p) => {
 				const trimmed = p.trim();
@@ -312,23 +1790,82 @@ const PodmanFormContainer = podmanView.form.extend({
 			}
 		}
 
-		const hasRestartPolicy = data.restart && data.restart !== 'no';
-		const shouldStart = Boolean(parseInt(data.start));
-
-		const createFn = async () => {
-			const raw = await podmanRPC.containers.create(spec);
-			const inspected = await Container.getSingleton(raw).inspect();
-			const container = Container.getSingleton(inspected);
+		if (data.log_driver) {
+			spec.log_configuration = { driver: data.log_driver };
+			if (data.log_driver === 'k8s-file' && data.log_max_size) {
+				spec.log_configuration.size = podmanUtil.format.parseMemory(data.log_max_size);
+				spec.labels = Object.assign({}, spec.labels, { [c.LOG_SIZE_LABEL]: String(spec.log_configuration.size) });
+			}
+			if ((data.log_driver === 'k8s-file' || data.log_driver === 'journald') && data.log_tag) {
+				spec.log_configuration.options = { tag: data.log_tag };
+			}
+		}
 
-			if (hasRestartPolicy) {
-				await container.generateInitScript();
-				await container.enableInitScript();
+		if (data.health_cmd) {
+			const duration = podmanUtil.format.parseDuration;
+			spec.healthconfig = { Test: ['CMD-SHELL', data.health_cmd] };
+			if (data.health_interval) spec.healthconfig.Interval = duration(data.health_interval);
+			if (data.health_timeout) spec.healthconfig.Timeout = duration(data.health_timeout);
+			if (data.health_retries) spec.healthconfig.Retries = parseInt(data.health_retries, 10);
+			if (data.health_start_period) spec.healthconfig.StartPeriod = duration(data.health_start_period);
+			if (data.health_on_failure && data.health_on_failure !== 'none') {
+				spec.health_check_on_failure_action = c.HEALTH_ON_FAILURE_ACTIONS[data.health_on_failure];
 			}
+		}
 
-			if (shouldStart) await container.start();
-		};
+		Container.secretsToSpec(spec, data.secrets);
+		await Container.timezoneToSpec(spec, data.timezone, {
+			tzstring: this.timezones[data.timezone]?.tzstring,
+			hostZone: this.hostZone,
+		});
+
+		return spec;
+	},
+
+	async handleCreate() {
+		if (!this.isValid()) {
+			return this.scrollToInvalid();
+		}
+
+		await this.save();
+
+		const shouldStart = Boolean(parseInt(this.getFieldValue('start')));
+		let spec;
+
+		if (this.isJsonMode()) {
+			spec = this.jsonEditor.getValue();
+			if (!spec) return;
+
+			// Secrets and the log size may have been edited, so the labels have to follow
+			const secretOptions = specSecretOptions(spec);
+			spec.labels = Object.assign({}, spec.labels);
+			delete spec.labels[c.SECRETS_LABEL];
+			if (secretOptions.length > 0) spec.labels[c.SECRETS_LABEL] = JSON.stringify(secretOptions);
+			delete spec.labels[c.LOG_SIZE_LABEL];
+			if (spec.log_configuration?.size > 0) spec.labels[c.LOG_SIZE_LABEL] = String(spec.log_configuration.size);
+		} else {
+			spec = Object.assign(await this.buildSpec(this.getFieldValues()), this.extraSpec);
+		}
+
+		return this.super('handleCreate', [ () => this.createContainer(spec, shouldStart), _('Container') ]);
+	},
+
+	/**
+	 * Create the container, add its init script when it has a restart policy and start it.
+	 * @param {object} spec - Container spec
+	 * @param {boolean} shouldStart - Start the container after creation
+	 */
+	async createContainer(spec, shouldStart) {
+		const raw = await podmanRPC.containers.create(spec);
+		const inspected = await Container.getSingleton(raw).inspect();
+		const container = Container.getSingleton(inspected);
+
+		if (spec.restart_policy && spec.restart_policy !== 'no') {
+			await container.generateInitScript();
+			await container.enableInitScript();
+		}
 
-		return this.super('handleCreate', [ createFn, _('Container') ]);
+		if (shouldStart) await container.start();
 	},
 });
 
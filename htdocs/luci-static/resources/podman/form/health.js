@@ -0,0 +1,127 @@
+'use strict';
+
+'require baseclass';
+'require form';
+
+'require podman.utils as podmanUtil';
+'require podman.form as podmanForm';
+'require podman.view as podmanView';
+
+/**
+ * Update the healthcheck of a container (health_* keys of container_update)
+ */
+const PodmanFormHealth = podmanView.form.extend({
+	__name__: 'Podman.Form.Health',
+
+	container: null,
+
+	makeData() {
+		const healthcheck = this.container?.getHealthcheck();
+		const config = this.container?.getConfig() || {};
+		const duration = (ns) => ns ? podmanUtil.format.shortDuration(ns) : '';
+
+		return {
+			health: {
+				health_cmd: healthcheck ? this.container.getHealthcheckCmdString() : '',
+				health_interval: duration(healthcheck?.Interval),
+				health_timeout: duration(healthcheck?.Timeout),
+				health_retries: healthcheck?.Retries ? String(healthcheck.Retries) : '',
+				health_start_period: duration(healthcheck?.StartPeriod),
+				health_on_failure: config.HealthcheckOnFailureAction || 'none',
+				health_max_log_count: config.HealthMaxLogCount ? String(config.HealthMaxLogCount) : '',
+			}
+		};
+	},
+
+	async render(container) {
+		this.container = container;
+
+		return this.super('render', []);
+	},
+
+	createForm() {
+		let field;
+
+		field = this.section.option(form.Value, 'health_cmd', _('Health Check Command'));
+		field.placeholder = 'curl -f http://localhost/ || exit 1';
+		field.optional = true;
+		field.description = _('Command run inside the container via shell. Exit code 0 means healthy. Leave empty to disable the health check.');
+
+		field = this.section.option(podmanForm.field.DurationValue, 'health_interval', _('Interval'));
+		field.depends('health_cmd', /.+/);
+		field.optional = true;
+		field.description = _('Time between two checks (default 30s)');
+
+		field = this.section.option(podmanForm.field.DurationValue, 'health_timeout', _('Timeout'));
+		field.depends('health_cmd', /.+/);
+		field.optional = true;
+		field.description = _('Maximum time a single check may take (default 30s)');
+
+		field = this.section.option(form.Value, 'health_retries', _('Retries'));
+		field.depends('health_cmd', /.+/);
+		field.placeholder = '3';
+		field.optional = true;
+		field.datatype = 'uinteger';
+		field.description = _('Consecutive failures before the container is marked unhealthy');
+
+		field = this.section.option(podmanForm.field.DurationValue, 'health_start_period', _('Start Period'));
+		field.depends('health_cmd', /.+/);
+		field.placeholder = '0s';
+		field.optional = true;
+		field.description = _('Grace period after start during which failures are not counted');
+
+		field = this.section.option(form.ListValue, 'health_on_failure', _('On Failure'));
+		field.depends('health_cmd', /.+/);
+		field.value('none', _('None'));
+		field.value('kill', _('Kill'));
+		field.value('restart', _('Restart'));
+		field.value('stop', _('Stop'));
+		field.description = _('Action taken when the container becomes unhealthy');
+
+		field = this.section.option(form.Value, 'health_max_log_count', _('Log Entries'));
+		field.depends('health_cmd', /.+/);
+		field.placeholder = '5';
+		field.optional = true;
+		field.datatype = 'uinteger';
+		field.description = _('Number of health check results kept (0 = unlimited)');
+
+		field = this.section.option(form.Button, '_update', ' ');
+		field.inputtitle = _('Update Health Check');
+		field.inputstyle = 'save';
+		field.onclick = () => this.handleUpdate();
+	},
+
+	async handleUpdate() {
+		if (!this.isValid()) {
+			return this.scrollToInvalid();
+		}
+
+		await this.save();
+
+		const data = this.getFieldValues();
+		let updateData = { no_healthcheck: true };
+
+		if (data.health_cmd) {
+			updateData = {
+				health_cmd: data.health_cmd,
+				health_on_failure: data.health_on_failure || 'none',
+			};
+			if (data.health_interval) updateData.health_interval = data.health_interval;
+			if (data.health_timeout) updateData.health_timeout = data.health_timeout;
+			if (data.health_retries) updateData.health_retries = parseInt(data.health_retries, 10);
+			if (data.health_start_period) updateData.health_start_period = data.health_start_period;
+			if (data.health_max_log_count) updateData.health_max_log_count = parseInt(data.health_max_log_count, 10);
+		}
+
+		const createFn = async () => {
+			await this.container.update(updateData);
+			await this.onUpdated?.();
+		};
+
+		return this.super('handleCreate', [ createFn, _('Health check'), _('Updating health check'), _('Health check updated') ]);
+	},
+});
+
+return baseclass.extend({
+	init: PodmanFormHealth
+});
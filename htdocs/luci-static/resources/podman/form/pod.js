@@ -7,6 +7,7 @@
 'require podman.utils as podmanUtil';
 'require podman.rpc as podmanRPC';
 'require podman.view as podmanView';
+'require podman.model.Container as Container';
 
 const PodmanFormPod = podmanView.form.extend({
 	__name__: 'Podman.Form.Pod',
@@ -20,6 +21,7 @@ const PodmanFormPod = podmanView.form.extend({
 				infra: '1',
 				infra_image: null,
 				network: 'bridge',
+				ports: null,
 				dns_server: null,
 				dns_search: null,
 				cpus: null,
@@ -31,7 +33,11 @@ const PodmanFormPod = podmanView.form.extend({
 	},
 
 	async createForm() {
-		const networks = await podmanRPC.networks.list();
+		const [networks, containers, hostPorts] = await Promise.all([
+			podmanRPC.networks.list(),
+			podmanRPC.containers.list('all=true'),
+			podmanRPC.host.ports().catch(() => []),
+		]);
 
 		let field;
 
@@ -77,6 +83,29 @@ const PodmanFormPod = podmanView.form.extend({
 		});
 		field.description = _('Network namespace for the pod. Containers in the pod share this network.');
 
+		field = this.section.option(form.TextValue, 'ports', _('Port Mappings'));
+		field.depends({ infra: '1', network: /^(?!host$|none$)/ });
+		field.placeholder = '8080:80\n8443:443';
+		field.rows = 3;
+		field.optional = true;
+		field.description = _('One per line, format: host:container[/protocol]. Published for all containers in the pod.');
+		field.validate = (section_id, value) => {
+			const invalid = (value || '').split('\n').map((line) => line.trim())
+				.find((line) => line && !/^\d+:\d+(\/(tcp|udp|sctp))?$/i.test(line));
+			if (invalid) {
+				return _('Expecting: %s').format('host:container[/protocol]');
+			}
+
+			const conflicts = Container.findPortConflicts(value, { containers, hostPorts });
+			if (conflicts.length > 0) {
+				Container.resolvePortOwners(value, hostPorts).then((found) => {
+					if (found) this.getField('ports').getUIElement(section_id)?.triggerValidation();
+				});
+				return _('Host port already in use: %s').format(conflicts.join(', '));
+			}
+			return true;
+		};
+
 		field = this.section.option(form.DynamicList, 'dns_server', _('DNS Servers'));
 		field.depends('infra', '1');
 		field.datatype = 'ipaddr';
@@ -141,6 +170,13 @@ const PodmanFormPod = podmanView.form.extend({
 				spec.Networks = { [data.network]: {} };
 			}
 
+			if (data.ports && data.network !== 'host' && data.network !== 'none') {
+				spec.portmappings = data.ports.split('\n').map((line) => line.trim()).filter((line) => line).map((line) => {
+					const [, hostPort, containerPort, protocol] = line.match(/^(\d+):(\d+)(?:\/(\w+))?$/);
+					return { host_port: +hostPort, container_port: +containerPort, protocol: (protocol || 'tcp').toLowerCase() };
+				});
+			}
+
 			if (data.dns_server && data.dns_server.length) spec.dns_server = data.dns_server;
 			if (data.dns_search && data.dns_search.length) spec.dns_search = data.dns_search;
 		}
@@ -1,7 +1,9 @@
 'use strict';
 
 'require baseclass';
+'require request';
 
+'require podman.constants as c';
 'require podman.model.Model as Model';
 'require podman.model.Network as Network';
 'require podman.model.Image as Image';
@@ -12,7 +14,7 @@ const InitScript = {
 	generate: Model.declareRPC({
 		object: 'podman',
 		method: 'init_script_generate',
-		params: ['name']
+		params: ['name', 'retries']
 	}),
 
 	show: Model.declareRPC({
@@ -40,6 +42,14 @@ const InitScript = {
 	})
 };
 
+const HostRPC = {
+	timezone: Model.declareRPC({
+		object: 'podman',
+		method: 'host_timezone',
+		params: ['zone']
+	}),
+};
+
 const ContainerRPC = {
 	inspect: Model.declareRPC({
 		object: 'podman',
@@ -53,6 +63,25 @@ const ContainerRPC = {
 		params: ['id', 'data']
 	}),
 
+	healthcheck: Model.declareRPC({
+		object: 'podman',
+		method: 'container_healthcheck_run',
+		params: ['id']
+	}),
+
+	// A commit can outlast the RPC timeout while it keeps running, see modal/commit.js
+	commit: Model.declareRPCSilent({
+		object: 'podman',
+		method: 'container_commit',
+		params: ['id', 'repo', 'tag', 'author', 'comment', 'pause', 'changes']
+	}),
+
+	changes: Model.declareRPC({
+		object: 'podman',
+		method: 'container_changes',
+		params: ['id']
+	}),
+
 	remove: Model.declareRPC({
 		object: 'podman',
 		method: 'container_remove',
@@ -102,6 +131,150 @@ const ContainerRPC = {
 	}),
 };
 
+/**
+ * Translate `--secret` options into SpecGenerator secrets / secret_env.
+ * The options are also kept in a label so they survive re-creation.
+ * @param {object} spec - Container spec to extend
+ * @param {string[]} options - Secret options (e.g., ["db_pass,type=env,target=DB_PASSWORD"])
+ */
+function secretsToSpec(spec, options) {
+	if (!options || options.length === 0) return;
+
+	options.map((option) => podmanUtil.cli.parseSecretOption(option)).forEach((secret) => {
+		if (secret.type === 'env') {
+			spec.secret_env = spec.secret_env || {};
+			spec.secret_env[secret.target || secret.source] = secret.source;
+			return;
+		}
+
+		const entry = { Source: secret.source };
+		if (secret.target) entry.Target = secret.target;
+		if (secret.uid !== '') entry.UID = parseInt(secret.uid, 10);
+		if (secret.gid !== '') entry.GID = parseInt(secret.gid, 10);
+		if (secret.mode !== '') entry.Mode = parseInt(secret.mode, 8);
+		spec.secrets = spec.secrets || [];
+		spec.secrets.push(entry);
+	});
+
+	spec.labels = Object.assign({}, spec.labels, { [c.SECRETS_LABEL]: JSON.stringify(options) });
+}
+
+/**
+ * Set the container timezone. Podman copies the zone from the host's zoneinfo,
+ * which OpenWrt only has with the zoneinfo packages installed. Without it the host's
+ * /etc/localtime is mounted for the host zone, otherwise a POSIX TZ variable is set.
+ * @param {object} spec - Container spec to extend
+ * @param {string} zone - Zone name (e.g., "Europe/Vienna")
+ * @param {object} [options]
+ * @param {string} [options.tzstring] - POSIX TZ string of the zone (e.g., "CET-1CEST,M3.5.0,M10.5.0/3")
+ * @param {string} [options.hostZone] - Zone the router runs in
+ */
+async function timezoneToSpec(spec, zone, { tzstring, hostZone } = {}) {
+	if (!zone) return;
+
+	const host = await HostRPC.timezone(zone);
+	if (host?.zoneinfo) {
+		spec.timezone = zone;
+	} else if (host?.localtime && zone === hostZone) {
+		spec.mounts = (spec.mounts || []).concat({ Source: '/etc/localtime', Destination: '/etc/localtime', ReadOnly: true });
+	} else if (tzstring) {
+		spec.env = Object.assign({}, spec.env, { TZ: tzstring });
+	}
+}
+
+// Background lookup while typing in forms, so failures only leave the owner out
+const PortOwnersRPC = Model.declareRPCSilent({
+	object: 'podman',
+	method: 'host_ports',
+	params: ['ports'],
+	expect: {
+		data: []
+	}
+});
+
+/**
+ * Host ports of port mappings that are already taken, either by the published ports of
+ * running containers and pods or by a process on the router (see host_ports RPC).
+ * @param {string} text - Port mappings, one `host:container[/protocol]` per line
+ * @param {object} sources
+ * @param {object[]} sources.containers - Containers from containers_list
+ * @param {object[]} [sources.hostPorts] - Sockets from host_ports
+ * @param {string} [sources.excludeId] - ID of the container being replaced
+ * @returns {string[]} Conflicts with their owner (e.g., "8080/tcp (container web)")
+ */
+function findPortConflicts(text, { containers, hostPorts, excludeId }) {
+	const published = [];
+	containers
+		.filter((container) => container.isRunning())
+		.forEach((container) => container.getPublishedPorts().forEach((port) => published.push({ ...port, container })));
+
+	const conflicts = [];
+	(text || '').split('\n').forEach((line) => {
+		const match = line.trim().match(/^(\d+):\d+(?:\/(\w+))?$/);
+		if (!match) return;
+
+		const hostPort = +match[1];
+		const protocol = (match[2] || 'tcp').toLowerCase();
+		const port = `${hostPort}/${protocol}`;
+
+		// conmon holds published ports open, so these also appear as router sockets
+		const owners = published.filter((item) => item.hostPort === hostPort && item.protocol === protocol);
+		if (owners.length > 0) {
+			const owner = owners.find((item) => item.container.getID() !== excludeId)?.container;
+			if (owner) {
+				conflicts.push(`${port} (${owner.PodName
+					? _('pod %s').format(owner.PodName)
+					: _('container %s').format(owner.getName())})`);
+			}
+			return;
+		}
+
+		const socket = (hostPorts || []).find((item) => item.port === hostPort && item.protocol === protocol);
+		if (socket) {
+			conflicts.push(`${port} (${socket.process ? _('%s on the router').format(socket.process) : _('the router')})`);
+		}
+	});
+
+	return conflicts;
+}
+
+/**
+ * Fill in the processes holding the router sockets that port mappings collide
+ * with. host_ports only looks them up for given ports, because that walks the
+ * file descriptors of every process on the router.
+ * @param {string} text - Port mappings, one `host:container[/protocol]` per line
+ * @param {object[]} hostPorts - Sockets from host_ports, updated in place
+ * @returns {Promise<boolean>} Whether an owner was added
+ */
+async function resolvePortOwners(text, hostPorts) {
+	const sockets = new Set();
+	(text || '').split('\n').forEach((line) => {
+		const match = line.trim().match(/^(\d+):\d+(?:\/(\w+))?$/);
+		if (!match) return;
+
+		const protocol = (match[2] || 'tcp').toLowerCase();
+		(hostPorts || [])
+			.filter((item) => item.port === +match[1] && item.protocol === protocol && !item.process && !item.lookedUp)
+			.forEach((item) => sockets.add(item));
+	});
+	if (sockets.size === 0) return false;
+
+	sockets.forEach((socket) => socket.lookedUp = true);
+	const owned = await PortOwnersRPC([ ...new Set([ ...sockets ].map((socket) => socket.port)) ]).catch(() => []);
+
+	let found = false;
+	sockets.forEach((socket) => {
+		const owner = owned.find((item) => item.process && item.port === socket.port
+			&& item.protocol === socket.protocol && item.address === socket.address);
+		if (owner) {
+			socket.process = owner.process;
+			found = true;
+		}
+	});
+
+	return found;
+}
+
 const Container = Model.base.extend({
 	__name__: 'Podman.Model.Container',
 
@@ -137,6 +310,46 @@ const Container = Model.base.extend({
 		return E('div', { class: `badge ${this.getState()}` }, [ this.getState() ]);
 	},
 
+	getHealthcheck() {
+		const test = this.Config?.Healthcheck?.Test;
+		if (!test || !test.length || test[0] === 'NONE') {
+			return null;
+		}
+
+		return this.Config.Healthcheck;
+	},
+
+	getHealthcheckCmdString() {
+		const test = this.getHealthcheck()?.Test || [];
+		return test.slice(test[0] === 'CMD' || test[0] === 'CMD-SHELL' ? 1 : 0).join(' ');
+	},
+
+	getHealthStatus() {
+		// List entries carry the health state in Status, inspect data in State.Health
+		if (typeof this.State === 'string') {
+			return this.Status || '';
+		}
+
+		return this.State?.Health?.Status || this.State?.Healthcheck?.Status || '';
+	},
+
+	/**
+	 * Health state from inspect data: Status, FailingStreak and Log entries.
+	 * @returns {{Status: string, FailingStreak: number, Log: Array<{Start: string, End: string, ExitCode: number, Output: string}>}|null}
+	 */
+	getHealth() {
+		return this.State?.Health || this.State?.Healthcheck || null;
+	},
+
+	getHealthBadge() {
+		const status = this.getHealthStatus();
+		if (!status) {
+			return '';
+		}
+
+		return E('div', { class: `badge health-${status}` }, [ status ]);
+	},
+
 	getAutoUpdateLabel() {
 		const labels = this.Config?.Labels || this.Labels;
 		if (!labels) {
@@ -190,7 +403,21 @@ const Container = Model.base.extend({
 			if (sigNum > 0) spec.stop_signal = sigNum;
 		}
 		if (config.StopTimeout) spec.stop_timeout = config.StopTimeout;
+		if (config.Timezone) spec.timezone = config.Timezone;
 		if (config.Healthcheck) spec.healthconfig = config.Healthcheck;
+		const onFailure = c.HEALTH_ON_FAILURE_ACTIONS[config.HealthcheckOnFailureAction];
+		if (onFailure) spec.health_check_on_failure_action = onFailure;
+
+		// Logging (the k8s-file path is container specific and left to the default)
+		const logConfig = hostConfig.LogConfig || {};
+		if (logConfig.Type) {
+			spec.log_configuration = { driver: logConfig.Type };
+			const options = Object.assign({}, logConfig.Config);
+			if (logConfig.Tag) options.tag = logConfig.Tag;
+			if (Object.keys(options).length) spec.log_configuration.options = options;
+			const size = this.getLogMaxSize();
+			if (size > 0) spec.log_configuration.size = size;
+		}
 
 		// Environment: ["KEY=val", ...] → {KEY: "val", ...}
 		if (config.Env && config.Env.length) {
@@ -205,12 +432,22 @@ const Container = Model.base.extend({
 		if (config.Labels && Object.keys(config.Labels).length)
 			spec.labels = config.Labels;
 
+		// Secrets
+		secretsToSpec(spec, this.getSecretOptions());
+
 		// HostConfig
 		if (hostConfig.Privileged) spec.privileged = true;
 		if (hostConfig.ReadonlyRootfs) spec.read_only_filesystem = true;
 		if (hostConfig.AutoRemove) spec.remove = true;
 		if (hostConfig.CapAdd && hostConfig.CapAdd.length) spec.cap_add = hostConfig.CapAdd;
 		if (hostConfig.CapDrop && hostConfig.CapDrop.length) spec.cap_drop = hostConfig.CapDrop;
+		(hostConfig.SecurityOpt || []).forEach((opt) => {
+			const [, key, value] = opt.match(/^([^=:]+)[=:]?(.*)$/) || [];
+			if (key === 'no-new-privileges' && value !== 'false') spec.no_new_privileges = true;
+			else if (key === 'seccomp' && value) spec.seccomp_profile_path = value;
+			else if (key === 'apparmor' && value) spec.apparmor_profile = value;
+			else if (key === 'label' && value) (spec.selinux_opts = spec.selinux_opts || []).push(value);
+		});
 		if (hostConfig.Dns && hostConfig.Dns.length) spec.dns_server = hostConfig.Dns;
 		if (hostConfig.DnsOptions && hostConfig.DnsOptions.length) spec.dns_option = hostConfig.DnsOptions;
 		if (hostConfig.DnsSearch && hostConfig.DnsSearch.length) spec.dns_search = hostConfig.DnsSearch;
@@ -218,6 +455,11 @@ const Container = Model.base.extend({
 		if (hostConfig.GroupAdd && hostConfig.GroupAdd.length) spec.groups = hostConfig.GroupAdd;
 		if (hostConfig.ShmSize) spec.shm_size = hostConfig.ShmSize;
 		if (hostConfig.OomScoreAdj) spec.oom_score_adj = hostConfig.OomScoreAdj;
+		if (hostConfig.Devices && hostConfig.Devices.length) {
+			spec.devices = hostConfig.Devices.map((d) => ({
+				path: `${d.PathOnHost}:${d.PathInContainer}:${d.CgroupPermissions || 'rwm'}`
+			}));
+		}
 
 		// Restart policy
 		const rp = hostConfig.RestartPolicy;
@@ -284,28 +526,87 @@ const Container = Model.base.extend({
 				Source: m.Source,
 				Destination: m.Destination,
 				ReadOnly: !m.RW,
-				options: m.Options || []
+				// Inspect reports the propagation apart from the other options
+				options: (m.Options || []).concat(m.Propagation && m.Propagation !== 'rprivate' ? [ m.Propagation ] : [])
 			}));
 		}
 
+		// Tmpfs: {"/tmp": "rw,size=65536k"} → tmpfs mounts
+		const tmpfs = this.getTmpfs();
+		if (Object.keys(tmpfs).length) {
+			spec.mounts = (spec.mounts || []).concat(Object.entries(tmpfs).map(([dest, opts]) => ({
+				Type: 'tmpfs',
+				Source: 'tmpfs',
+				Destination: dest,
+				Options: opts ? opts.split(',') : []
+			})));
+		}
+
+		// Ulimits (unlimited values exceed JS number precision and are left to the default)
+		const ulimits = this.getUlimits().filter(u => Number.isSafeInteger(u.Soft) && Number.isSafeInteger(u.Hard));
+		if (ulimits.length) {
+			spec.r_limits = ulimits.map(u => ({ type: u.Name, soft: u.Soft, hard: u.Hard }));
+		}
+
+		// Sysctls
+		if (Object.keys(this.getSysctls()).length) spec.sysctl = this.getSysctls();
+
 		// Network
 		const nm = hostConfig.NetworkMode || '';
 		if (nm === 'host') {
 			spec.netns = { nsmode: 'host' };
 		} else if (nm === 'none') {
 			spec.netns = { nsmode: 'none' };
+		} else if (nm.startsWith('container:')) {
+			spec.netns = { nsmode: 'container', value: nm.substring('container:'.length) };
 		} else {
 			const nets = networkSettings.Networks || {};
 			const nonDefault = Object.keys(nets).filter(n => n !== 'bridge' && n !== 'default');
+			// Pin current addresses so re-creation does not reassign them
+			const implicitAliases = [ spec.name, (this.Id || '').substring(0, 12) ];
 			if (nonDefault.length) {
 				spec.networks = {};
-				for (const n of nonDefault) spec.networks[n] = {};
+				for (const n of nonDefault) {
+					const net = nets[n] || {};
+					const options = {};
+					const staticIps = [ net.IPAddress, net.GlobalIPv6Address ].filter(ip => ip);
+					const aliases = (net.Aliases || []).filter(a => !implicitAliases.includes(a));
+					if (staticIps.length) options.static_ips = staticIps;
+					if (net.MacAddress) options.static_mac = net.MacAddress;
+					if (aliases.length) options.aliases = aliases;
+					spec.networks[n] = options;
+				}
 			}
 		}
 
 		return spec;
 	},
 
+	/**
+	 * Drop pinned addresses for networks that lease them via DHCP,
+	 * where static addresses are rejected on creation.
+	 * @param {object} spec - Spec from inspectToSpec()
+	 */
+	async releaseDhcpAddresses(spec) {
+		await Promise.all(Object.keys(spec.networks || {}).map(async (name) => {
+			const network = await Network.getSingleton({ name }).inspect();
+			if (network?.ipam_options?.driver === 'dhcp') delete spec.networks[name].static_ips;
+		}));
+	},
+
+	/**
+	 * Timezone as set by timezoneToSpec(): zone name, TZ variable or the host's localtime.
+	 * @returns {string} Empty if the container runs in UTC
+	 */
+	getTimezone() {
+		if (this.Config?.Timezone) return this.Config.Timezone;
+
+		const tz = this.getEnvironmentVars().find((env) => env.startsWith('TZ='));
+		if (tz) return tz.substring(3);
+
+		return this.getMounts().some((m) => m.Destination === '/etc/localtime') ? _('Host localtime') : '';
+	},
+
 	getWorkingDir() {
 		return this.Config?.WorkingDir;
 	},
@@ -342,6 +643,48 @@ const Container = Model.base.extend({
 		return this.HostConfig || {};
 	},
 
+	getSecurityOptions() {
+		return this.HostConfig?.SecurityOpt || [];
+	},
+
+	/**
+	 * Secrets used by the container as `--secret` option strings.
+	 * Uses the options recorded at creation, otherwise CreateCommand and inspect data.
+	 * @returns {string[]}
+	 */
+	getSecretOptions() {
+		const label = this.Config?.Labels?.[c.SECRETS_LABEL];
+		if (label) {
+			try {
+				return JSON.parse(label);
+			} catch (e) {
+				// Fall back to inspect data
+			}
+		}
+
+		const options = podmanUtil.cli.parseRunCommand(this.Config?.CreateCommand || []).options
+			.filter((option) => option.name === 'secret')
+			.map((option) => option.value);
+		const names = options.map((option) => podmanUtil.cli.parseSecretOption(option).source);
+
+		(this.Config?.Secrets || []).forEach((secret) => {
+			if (names.includes(secret.Name)) return;
+
+			const parts = [ secret.Name ];
+			if (secret.Target) parts.push(`target=${secret.Target}`);
+			if (secret.UID != null) parts.push(`uid=${secret.UID}`);
+			if (secret.GID != null) parts.push(`gid=${secret.GID}`);
+			if (secret.Mode != null) parts.push(`mode=0${Number(secret.Mode).toString(8)}`);
+			options.push(parts.join(','));
+		});
+
+		return options;
+	},
+
+	getSecrets() {
+		return this.getSecretOptions().map((option) => podmanUtil.cli.parseSecretOption(option));
+	},
+
 	getTty() {
 		return this.Config?.Tty;
 	},
@@ -350,6 +693,51 @@ const Container = Model.base.extend({
 		return this.Mounts || [];
 	},
 
+	getDevices() {
+		return this.HostConfig?.Devices || [];
+	},
+
+	/**
+	 * Device cgroup rules, including the ones for mapped devices and the
+	 * access granted or revoked at runtime.
+	 * @returns {string[]} Rules like "c 188:0 rwm"
+	 */
+	getDeviceCgroupRules() {
+		return this.HostConfig?.DeviceCgroupRules || [];
+	},
+
+	getLogConfig() {
+		return this.HostConfig?.LogConfig || {};
+	},
+
+	/**
+	 * Log rotation size in bytes. Uses the size recorded at creation, since inspect
+	 * reports it rounded in decimal units (e.g., "10.49MB").
+	 * @returns {number} Size in bytes, 0 if unlimited
+	 */
+	getLogMaxSize() {
+		const label = this.Config?.Labels?.[c.LOG_SIZE_LABEL];
+		if (/^\d+$/.test(label || '')) return +label;
+
+		const match = String(this.getLogConfig().Size || '').match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)i?b$/i);
+		if (!match) return 0;
+
+		const exponent = ['', 'k', 'm', 'g', 't'].indexOf(match[2].toLowerCase());
+		return Math.round(parseFloat(match[1]) * Math.pow(1000, exponent));
+	},
+
+	getTmpfs() {
+		return this.HostConfig?.Tmpfs || {};
+	},
+
+	getUlimits() {
+		return this.HostConfig?.Ulimits || [];
+	},
+
+	getSysctls() {
+		return this.HostConfig?.Sysctls || {};
+	},
+
 	getEnvironmentVars() {
 		return this.Config?.Env || [];
 	},
@@ -384,6 +772,25 @@ const Container = Model.base.extend({
 		return ports;
 	},
 
+	/**
+	 * Host ports published by the container, from list (Ports) or inspect (PortBindings) data.
+	 * @returns {Array<{hostPort: number, protocol: string}>}
+	 */
+	getPublishedPorts() {
+		if (Array.isArray(this.Ports)) {
+			return this.Ports.flatMap((port) => Array.from({ length: port.range || 1 }, (_v, i) => ({
+				hostPort: port.host_port + i,
+				protocol: port.protocol || 'tcp',
+			}))).filter((port) => port.hostPort > 0);
+		}
+
+		return Object.entries(this.HostConfig?.PortBindings || {}).flatMap(([portProto, bindings]) =>
+			(bindings || []).map((binding) => ({
+				hostPort: parseInt(binding.HostPort, 10),
+				protocol: portProto.split('/')[1] || 'tcp',
+			}))).filter((port) => port.hostPort > 0);
+	},
+
 	getImageName() {
 		return (this.ImageName || this.Image).replace(/^[^\/]+\//, '').split(':')[0];
 	},
@@ -422,6 +829,15 @@ const Container = Model.base.extend({
 		return 'no';
 	},
 
+	/**
+	 * Maximum restart retries of the on-failure policy (0 when unlimited or not on-failure).
+	 * @returns {number}
+	 */
+	getRestartRetries() {
+		const policy = this.HostConfig?.RestartPolicy;
+		return policy?.Name === 'on-failure' ? (policy.MaximumRetryCount || 0) : 0;
+	},
+
 	getDetailLink(text) {
 		return E('a', {
 			class: 'text-bold',
@@ -492,8 +908,11 @@ const Container = Model.base.extend({
 		return 'none';
 	},
 
-	async generateInitScript() {
-		return InitScript.generate(this.getName());
+	/**
+	 * @param {number} [retries] - Start retries for the init script, defaults to the on-failure limit
+	 */
+	async generateInitScript(retries) {
+		return InitScript.generate(this.getName(), retries ?? this.getRestartRetries());
 	},
 
 	async showInitScript() {
@@ -523,18 +942,67 @@ const Container = Model.base.extend({
 	async update(data) {
 		await ContainerRPC.update(this.getID(), data);
 
-		const initScriptStatus = await this.checkInitScript();
+		// Resource and health updates leave the restart policy, and so the init script, alone
 		const policy = data.RestartPolicy;
+		if (policy === undefined) return;
+
+		const initScriptStatus = await this.checkInitScript();
 		const hasRestartPolicy = policy !== 'no';
+		const retries = policy === 'on-failure' ? (data.RestartRetries ?? 0) : 0;
 
 		if (hasRestartPolicy && (initScriptStatus === 'none' || initScriptStatus === 'missing')) {
-			await this.generateInitScript();
+			await this.generateInitScript(retries);
 			await this.enableInitScript();
+		} else if (hasRestartPolicy && (initScriptStatus === 'enabled' || initScriptStatus === 'disabled')) {
+			// Keep the start retries of the existing script in sync with the new policy
+			await this.generateInitScript(retries);
 		} else if (!hasRestartPolicy && (initScriptStatus === 'enabled' || initScriptStatus === 'disabled')) {
 			await this.removeInitScript();
 		}
 	},
 
+	/**
+	 * Run the healthcheck once.
+	 * @returns {Promise<object>} Health state after the run
+	 */
+	async runHealthcheck() {
+		return ContainerRPC.healthcheck(this.getID());
+	},
+
+	/**
+	 * Paths changed in the writable layer since the container was created.
+	 * @returns {Promise<{data: Array<{Path: string, Kind: number, Size: ?number}>, sizes: boolean}>}
+	 *   Kind 0 changed, 1 added, 2 deleted; sizes is false when the storage is not readable from the router
+	 */
+	async getChanges() {
+		return ContainerRPC.changes(this.getID());
+	},
+
+	/**
+	 * Save the container, including its writable layer, as a new image.
+	 * @param {{repo: string, tag: string, author: string, comment: string, pause: boolean, changes: string[]}} options
+	 *   changes are Dockerfile instructions (CMD, ENV, EXPOSE, ...) applied to the image config
+	 * @returns {Promise<{Id: string}>} The new image
+	 */
+	async commit({ repo, tag, author, comment, pause, changes }) {
+		const result = await ContainerRPC.commit(this.getID(), repo, tag || '', author || '', comment || '', !!pause, (changes || []).join('\n'));
+		if (result?.error) throw new Error(result.error);
+
+		return result;
+	},
+
+	/**
+	 * Grant or revoke cgroup access to a host character device at runtime.
+	 * The device node itself is only created inside the container at creation time.
+	 * @param {{major: number, minor: number}} device - Host device numbers
+	 * @param {boolean} allow - Grant (true) or revoke (false) access
+	 */
+	async updateDeviceAccess(device, allow) {
+		return ContainerRPC.update(this.getID(), {
+			devices: [{ allow, type: 'c', major: device.major, minor: device.minor, access: 'rwm' }]
+		});
+	},
+
 	async remove(force, volumes) {
 		const initScriptStatus = await this.checkInitScript();
 		if (initScriptStatus === 'enabled' || initScriptStatus === 'disabled') {
@@ -636,6 +1104,214 @@ const Container = Model.base.extend({
 		);
 	},
 
+	/**
+	 * Run a one-shot command (exec without TTY) and stream its output.
+	 * @param {{cmd: string[], user: string, workdir: string, env: string[]}} options - Exec options
+	 * @param {function(string, string)} onOutput - Called with 'stdout' or 'stderr' and the text
+	 * @returns {Promise<{exitCode: ?number, running: boolean}>} Exit code, or running when the
+	 *   command outlived the request
+	 */
+	async runCommand({ cmd, user, workdir, env }, onOutput) {
+		const decoders = { stdout: new TextDecoder(), stderr: new TextDecoder() };
+		const result = { exitCode: null, running: false };
+		let error = null;
+
+		const params = new URLSearchParams({
+			cmd: JSON.stringify(cmd),
+			user: user || '',
+			workdir: workdir || '',
+			env: JSON.stringify(env || []),
+		});
+
+		await this._streamOnce(L.url('admin/podman/stream/exec_run', this.getID()), params, (data) => {
+			if (data.o !== undefined) {
+				const stream = data.s === 2 ? 'stderr' : 'stdout';
+				const bytes = atob(data.o);
+				onOutput(stream, decoders[stream].decode(Uint8Array.from(bytes, (ch) => ch.charCodeAt(0)), { stream: true }));
+			} else if (data.exit !== undefined) {
+				result.exitCode = data.exit;
+			} else if (data.running) {
+				result.running = true;
+			} else if (data.raw) {
+				error = data.raw;
+			}
+		});
+
+		if (error) throw new Error(error);
+
+		return result;
+	},
+
+	/**
+	 * Open an interactive TTY exec session. The session lives in a worker on the
+	 * router, so it survives the periodic reconnects of the output stream.
+	 * @param {string} shell - sh, bash or ash
+	 * @param {{rows: number, cols: number}} size - Initial terminal size
+	 * @param {{onOutput: function(string), onExit: function(number), onError: function(string)}} handlers
+	 * @returns {{send: function(string), resize: function(number, number), close: function()}}
+	 */
+	openTerminal(shell, size, { onOutput, onExit, onError }) {
+		const decoder = new TextDecoder();
+		let session = null;
+		let offset = 0;
+		let pending = '';
+		let sending = false;
+		let closed = false;
+		let handle = null;
+
+		const post = (params) => {
+			params.set('token', L.env.token);
+			return fetch(L.url('admin/podman/stream/exec_input', session), {
+				method: 'POST',
+				body: params,
+				keepalive: true,
+			});
+		};
+
+		// Keystrokes go out one request at a time, so they reach the shell in order
+		const flush = async () => {
+			if (sending || !session || !pending) return;
+			sending = true;
+			const data = pending;
+			pending = '';
+			await post(new URLSearchParams({ data })).catch(() => {});
+			sending = false;
+			flush();
+		};
+
+		const end = () => {
+			handle?.stop();
+			session = null;
+		};
+
+		const attach = () => {
+			handle = this._stream(
+				() => L.url('admin/podman/stream/exec', session) + '?' + new URLSearchParams({ offset: String(offset) }),
+				(data) => {
+					if (data.o) {
+						const bytes = atob(data.o);
+						// p is the stream offset after this chunk; it skips output the router already dropped
+						offset = data.p ?? offset + bytes.length;
+						onOutput(decoder.decode(Uint8Array.from(bytes, (ch) => ch.charCodeAt(0)), { stream: true }));
+					} else if (data.exit !== undefined) {
+						end();
+						onExit?.(data.exit);
+					} else if (data.raw) {
+						end();
+						onError?.(data.raw);
+					}
+				}
+			);
+		};
+
+		// Creating the session is a POST with token, attaching to its output a plain stream
+		const initial = { ...size };
+		fetch(L.url('admin/podman/stream/exec_open', this.getID()), {
+			method: 'POST',
+			body: new URLSearchParams({
+				token: L.env.token,
+				shell,
+				rows: String(size.rows),
+				cols: String(size.cols),
+			}),
+		}).then(async (response) => {
+			const text = await response.text();
+			if (!response.ok) throw new Error(text.trim() || response.statusText);
+
+			session = JSON.parse(text).session;
+			if (closed) {
+				post(new URLSearchParams({ close: '1' })).catch(() => {});
+				session = null;
+				return;
+			}
+
+			if (size.rows !== initial.rows || size.cols !== initial.cols)
+				post(new URLSearchParams({ rows: String(size.rows), cols: String(size.cols) })).catch(() => {});
+			attach();
+			flush();
+		}).catch((err) => {
+			session = null;
+			if (!closed) onError?.(err.message || String(err));
+		});
+
+		return {
+			send: (data) => {
+				pending += data;
+				flush();
+			},
+			resize: (rows, cols) => {
+				size = { rows, cols };
+				if (session) post(new URLSearchParams({ rows: String(rows), cols: String(cols) })).catch(() => {});
+			},
+			close: () => {
+				closed = true;
+				if (session) post(new URLSearchParams({ close: '1' })).catch(() => {});
+				end();
+			},
+		};
+	},
+
+	/**
+	 * List a folder inside the container. The controller runs stat in running
+	 * containers and reads the container archive otherwise, so this works for
+	 * stopped containers too.
+	 * @param {string} path - Absolute path
+	 * @returns {Promise<{path: string, type: string, entries: Array<{name: string, type: string, size: number, mode: number, mtime: number, link: ?string}>, truncated: boolean}>}
+	 */
+	async listFiles(path) {
+		const response = await fetch(L.url('admin/podman/stream/files', this.getID()) + '?' + new URLSearchParams({ path }));
+		if (!response.ok) throw new Error((await response.text()).trim() || response.statusText);
+
+		return response.json();
+	},
+
+	/**
+	 * @param {string} path - Absolute path of a file or folder
+	 * @returns {string} URL streaming the path as tar archive
+	 */
+	getFilesDownloadUrl(path) {
+		return L.url('admin/podman/stream/files_download', this.getID()) + '?' + new URLSearchParams({ path });
+	},
+
+	/**
+	 * Read a small regular file.
+	 * @param {string} path - Absolute path
+	 * @returns {Promise<Uint8Array>} File content
+	 */
+	async readFile(path) {
+		const response = await fetch(this.getFilesDownloadUrl(path) + '&raw=1');
+		if (!response.ok) throw new Error((await response.text()).trim() || response.statusText);
+
+		return new Uint8Array(await response.arrayBuffer());
+	},
+
+	/**
+	 * Write a file into a folder of the container, replacing an existing one.
+	 * The data goes through cgi-upload to a temporary file, named by a random
+	 * token, that the controller streams into the container archive.
+	 * @param {string} dir - Absolute path of the target folder
+	 * @param {string} name - File name
+	 * @param {Blob} data - File content
+	 * @param {string} [mode] - Octal permissions (default 644)
+	 */
+	async uploadFile(dir, name, data, mode) {
+		const upload = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, '0')).join('');
+
+		const formData = new FormData();
+		formData.append('sessionid', L.env.sessionid);
+		formData.append('filename', `/tmp/podman-upload-${upload}`);
+		formData.append('filedata', data);
+
+		const uploaded = await request.post(L.env.cgi_base + '/cgi-upload', formData);
+		if (!uploaded.ok) throw new Error(_('Upload failed: %s').format(uploaded.statusText));
+
+		const response = await fetch(L.url('admin/podman/stream/files_upload', this.getID()), {
+			method: 'POST',
+			body: new URLSearchParams({ token: L.env.token, upload, path: dir, name, mode: mode || '644' }),
+		});
+		if (!response.ok) throw new Error((await response.text()).trim() || response.statusText);
+	},
+
 	async checkImageUpdate() {
 		const findArchDigest = (manifest, arch, os) => {
 			if (!manifest || !manifest.manifests) {
@@ -680,9 +1356,25 @@ const Container = Model.base.extend({
 		}
 	},
 
-	async _reinstateInitScript(status) {
-		if (status !== 'enabled' && status !== 'disabled') return;
+	/**
+	 * Bring the init script in line with the restart policy after the container was re-created.
+	 * @param {string} previousStatus - Init script status of the replaced container
+	 */
+	async syncInitScript(previousStatus) {
+		const hadScript = previousStatus === 'enabled' || previousStatus === 'disabled';
+
+		if (!this._hasRestartPolicy()) {
+			if (hadScript) await this.removeInitScript();
+			return;
+		}
+
 		await this.generateInitScript();
+		if (!hadScript || previousStatus === 'enabled') await this.enableInitScript();
+	},
+
+	async _reinstateInitScript(status, retries) {
+		if (status !== 'enabled' && status !== 'disabled') return;
+		await this.generateInitScript(retries);
 		if (status === 'enabled') await this.enableInitScript();
 	},
 
@@ -722,8 +1414,25 @@ const Container = Model.base.extend({
 		if (newImageId === oldImageId)
 			throw new Error(_('Image is already up-to-date'));
 
-		const wasRunning = this.isRunning();
 		const spec = this.inspectToSpec(newImageId);
+		await this.releaseDhcpAddresses(spec);
+		await this.recreate(spec, onProgress, initStatus);
+
+		onProgress?.('✓ ' + _('Updated to %s').format((newImageId || '').substring(0, 12)) + '\n');
+		return { oldImage: image };
+	},
+
+	/**
+	 * Replace this container with one created from `spec`: stop, remove,
+	 * create, start again if it was running and reinstate the init script.
+	 * @param {object} spec - Spec for the new container
+	 * @param {function} [onProgress] - Receives progress lines
+	 * @param {string} [initStatus] - Init script status, if already known
+	 * @returns {Promise<object>} Create response
+	 */
+	async recreate(spec, onProgress, initStatus) {
+		initStatus = initStatus ?? await this.checkInitScript();
+		const wasRunning = this.isRunning();
 
 		if (wasRunning) {
 			onProgress?.('→ ' + _('Stopping container') + '\n');
@@ -735,12 +1444,15 @@ const Container = Model.base.extend({
 		try { await this.remove(); }
 		catch (e) { throw new Error(_('Remove failed: %s').format(e.message || e)); }
 
+		// From here on the original container is gone: keep the spec on the error so it can be retried
 		onProgress?.('→ ' + _('Creating container') + '\n');
 		let created;
 		try { created = await ContainerRPC.create(spec); }
-		catch (e) { throw new Error(_('Create failed: %s').format(e.message || e)); }
-		if (!created || created.error)
-			throw new Error(_('Create failed: %s').format(created?.error || _('Failed to create container')));
+		catch (e) { throw Object.assign(new Error(_('Create failed: %s').format(e.message || e)), { spec }); }
+		if (!created || created.error) {
+			const message = created?.error || _('Failed to create container');
+			throw Object.assign(new Error(_('Create failed: %s').format(message)), { spec });
+		}
 
 		if (wasRunning) {
 			onProgress?.('→ ' + _('Starting container') + '\n');
@@ -749,11 +1461,31 @@ const Container = Model.base.extend({
 		}
 
 		onProgress?.('→ ' + _('Reinstating init script') + '\n');
-		try { await this._reinstateInitScript(initStatus); }
+		const retries = spec.restart_policy === 'on-failure' ? (spec.restart_tries || 0) : 0;
+		try { await this._reinstateInitScript(initStatus, retries); }
 		catch (e) { throw new Error(_('Init script reinstate failed: %s').format(e.message || e)); }
 
-		onProgress?.('✓ ' + _('Updated to %s').format((newImageId || '').substring(0, 12)) + '\n');
-		return { oldImage: image };
+		return created;
+	},
+
+	/**
+	 * Re-create the container with another timezone.
+	 * @param {string} zone - Zone name (e.g., "Europe/Vienna"), empty for the container default
+	 * @param {object} [options] - tzstring / hostZone, see timezoneToSpec()
+	 * @param {function} [onProgress] - Receives progress lines
+	 */
+	async updateTimezone(zone, options, onProgress) {
+		const spec = this.inspectToSpec(this.Image);
+		await this.releaseDhcpAddresses(spec);
+
+		// Drop whatever carried the previous zone
+		delete spec.timezone;
+		if (spec.env) delete spec.env.TZ;
+		if (spec.mounts) spec.mounts = spec.mounts.filter((m) => m.Destination !== '/etc/localtime');
+
+		await timezoneToSpec(spec, zone, options);
+
+		return this.recreate(spec, onProgress);
 	},
 
 	async getImage() {
@@ -782,4 +1514,9 @@ return baseclass.extend({
 	getSingleton(container) {
 		return Container.extend(container).instantiate([]);
 	},
+
+	secretsToSpec,
+	timezoneToSpec,
+	findPortConflicts,
+	resolvePortOwners,
 });
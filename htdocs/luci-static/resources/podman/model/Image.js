@@ -11,6 +11,12 @@ const ImageRPC = {
 		params: ['id'],
 	}),
 
+	inspectSilent: Model.declareRPCSilent({
+		object: 'podman',
+		method: 'image_inspect',
+		params: ['id'],
+	}),
+
 	inspectManifest: Model.declareRPCSilent({
 		object: 'podman',
 		method: 'image_manifest_inspect',
@@ -49,6 +55,54 @@ const Image = Model.base.extend({
 		return tag.split(':')[1] || '<none>';
 	},
 
+	/**
+	 * Image config (inspect data only).
+	 * @returns {object}
+	 */
+	getConfig() {
+		return this.Config || {};
+	},
+
+	/**
+	 * @returns {Array<{port: number, protocol: string}>} Ports declared with EXPOSE
+	 */
+	getExposedPorts() {
+		return Object.keys(this.getConfig().ExposedPorts || {}).map((key) => {
+			const [port, protocol] = key.split('/');
+			return { port: parseInt(port, 10), protocol: protocol || 'tcp' };
+		}).filter((port) => port.port > 0);
+	},
+
+	/**
+	 * @returns {string[]} Container paths declared with VOLUME
+	 */
+	getVolumes() {
+		return Object.keys(this.getConfig().Volumes || {});
+	},
+
+	/**
+	 * @returns {string[]} Default environment (KEY=value)
+	 */
+	getEnv() {
+		return this.getConfig().Env || [];
+	},
+
+	getUser() {
+		return this.getConfig().User || '';
+	},
+
+	getWorkingDir() {
+		return this.getConfig().WorkingDir || '';
+	},
+
+	getCommand() {
+		return this.getConfig().Cmd || [];
+	},
+
+	getEntrypoint() {
+		return this.getConfig().Entrypoint || [];
+	},
+
 	getDigest() {
 		if (this.Digest) {
 			return this.Digest;
@@ -68,6 +122,13 @@ const Image = Model.base.extend({
 		return ImageRPC.inspect(this.getID());
 	},
 
+	/**
+	 * Like inspect(), without the global error dialog. For lookups that are optional.
+	 */
+	inspectSilent() {
+		return ImageRPC.inspectSilent(this.getID());
+	},
+
 	inspectManifest(ref) {
 		return ImageRPC.inspectManifest(ref || this.getDisplayTag());
 	},
@@ -95,6 +95,40 @@ const Model = baseclass.extend({
 			}
 		};
 	},
+
+	/**
+	 * Single POST request whose NDJSON response is read to the end. Unlike
+	 * _stream() it never reconnects, for actions that must not run twice.
+	 * A refused request throws its error text, an expired session reloads the page.
+	 * @param {string} url - Controller route
+	 * @param {URLSearchParams} params - Form values (the CSRF token is added)
+	 * @param {function(object)} onData - Called per line
+	 */
+	async _streamOnce(url, params, onData) {
+		params.set('token', L.env.token);
+
+		const response = await fetch(url, { method: 'POST', body: params });
+		if (!response.ok) {
+			const message = (await response.text()).trim() || response.statusText;
+			if (response.status === 403 && message === 'Session expired') {
+				window.location.reload();
+				return;
+			}
+			throw new Error(message);
+		}
+
+		const reader = response.body.getReader();
+		const decoder = new TextDecoder();
+		let buffer = '';
+
+		while (true) {
+			const { done, value } = await reader.read();
+			if (done) break;
+			buffer = processLines(buffer + decoder.decode(value, { stream: true }), onData);
+		}
+
+		if (buffer.trim()) processLines(buffer + '\n', onData);
+	},
 });
 
 return baseclass.extend({
@@ -7,6 +7,7 @@
 'require ui';
 
 'require podman.model.Model as Model';
+'require podman.utils as utils';
 
 const NetworkRPC = {
 	inspect: Model.declareRPC({
@@ -83,6 +84,38 @@ const Network = Model.base.extend({
 		return '';
 	},
 
+	/**
+	 * Check that a static address fits one of the network's subnets and is not its gateway.
+	 * @param {string} ip - IPv4 or IPv6 address
+	 * @returns {string|null} Error message or null if the address can be used
+	 */
+	checkStaticIp(ip) {
+		const isIp6 = ip.includes(':');
+		const subnets = (this.subnets || []).filter((s) => s.subnet && s.subnet.includes(':') === isIp6);
+
+		if (subnets.length === 0) {
+			return this.ipam_options?.driver === 'dhcp'
+				? _('Network %s uses DHCP, static addresses are not supported').format(this.getName())
+				: _('Network %s has no %s subnet').format(this.getName(), isIp6 ? 'IPv6' : 'IPv4');
+		}
+
+		const subnet = subnets.find((s) => isIp6
+			? utils.ipv6.inSubnet(ip, s.subnet)
+			: utils.ipv4.isHostInSubnet(ip, s.subnet));
+
+		if (!subnet) {
+			return _('%s is not a host address of %s').format(ip, subnets.map((s) => s.subnet).join(', '));
+		}
+
+		const gateway = subnet.gateway || (isIp6 ? '' : utils.ipv4.firstHost(subnet.subnet));
+		const isGateway = isIp6 ? gateway && utils.ipv6.inSubnet(ip, `${gateway}/128`) : gateway === ip;
+		if (isGateway) {
+			return _('%s is the gateway of network %s').format(ip, this.getName());
+		}
+
+		return null;
+	},
+
 	isBridge() {
 		return this.getDriver() === 'bridge';
 	},
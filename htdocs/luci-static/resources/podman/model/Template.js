@@ -0,0 +1,164 @@
+'use strict';
+
+'require baseclass';
+
+'require podman.model.Model as Model';
+
+// ${NAME} style placeholders, prompted for when a template is used
+const PLACEHOLDER = /\$\{([A-Z][A-Z0-9_]*)\}/g;
+
+const TemplateRPC = {
+	save: Model.declareRPC({
+		object: 'podman',
+		method: 'template_save',
+		params: ['name', 'template']
+	}),
+
+	remove: Model.declareRPC({
+		object: 'podman',
+		method: 'template_remove',
+		params: ['name']
+	}),
+};
+
+/**
+ * Apply `fn` to every string in a form value (string or list of strings).
+ * @param {*} value - Form value
+ * @param {function(string): string} fn - String mapper
+ * @returns {*} Mapped value
+ */
+function mapStrings(value, fn) {
+	if (typeof value === 'string') return fn(value);
+	if (Array.isArray(value)) return value.map((item) => mapStrings(item, fn));
+	return value;
+}
+
+const Template = Model.base.extend({
+	__name__: 'Podman.Model.Template',
+
+	getName() {
+		return this.name;
+	},
+
+	getDescription() {
+		return this.description || '';
+	},
+
+	getCreated() {
+		return this.created;
+	},
+
+	getValues() {
+		return this.values || {};
+	},
+
+	/**
+	 * Placeholder names used anywhere in the template values, in order of appearance.
+	 * @returns {string[]}
+	 */
+	getPlaceholders() {
+		const names = new Set();
+
+		Object.values(this.getValues()).forEach((value) => mapStrings(value, (text) => {
+			for (const match of text.matchAll(PLACEHOLDER)) names.add(match[1]);
+			return text;
+		}));
+
+		return Array.from(names);
+	},
+
+	/**
+	 * Form values with the placeholders replaced. Unknown placeholders are left as they are.
+	 * @param {Object<string, string>} vars - Placeholder values by name
+	 * @returns {object} Form values
+	 */
+	resolve(vars) {
+		const values = {};
+
+		Object.entries(this.getValues()).forEach(([field, value]) => {
+			values[field] = mapStrings(value, (text) =>
+				text.replace(PLACEHOLDER, (match, name) => vars?.[name] ?? match));
+		});
+
+		return values;
+	},
+
+	/**
+	 * Portable representation, used for saving and for JSON export.
+	 * @returns {object}
+	 */
+	toJSON() {
+		return {
+			name: this.getName(),
+			description: this.getDescription(),
+			created: this.getCreated(),
+			values: this.getValues(),
+		};
+	},
+
+	// The plugin reports failed writes and rejected names as { error } without an error status
+	async save() {
+		const result = await TemplateRPC.save(this.getName(), this.toJSON());
+		if (result?.error) throw new Error(result.error);
+		return result;
+	},
+
+	async remove() {
+		const result = await TemplateRPC.remove(this.getName());
+		if (result?.error) throw new Error(result.error);
+		return result;
+	},
+});
+
+return baseclass.extend({
+	getSingleton(template) {
+		return Template.extend(template).instantiate([]);
+	},
+
+	/**
+	 * Create a template from the values of the container form.
+	 * Internal fields (prefixed with `_`) and empty values are left out.
+	 * @param {string} name - Template name
+	 * @param {string} description - Template description
+	 * @param {object} values - Form values
+	 * @returns {object} Template instance
+	 */
+	fromFormValues(name, description, values) {
+		const kept = {};
+
+		Object.entries(values).forEach(([field, value]) => {
+			if (field.startsWith('_') || value == null || value === '') return;
+			if (Array.isArray(value) && value.length === 0) return;
+			kept[field] = value;
+		});
+
+		return this.getSingleton({
+			name,
+			description,
+			created: new Date().toISOString(),
+			values: kept,
+		});
+	},
+
+	/**
+	 * Parse an exported template file.
+	 * @param {string} text - File content
+	 * @returns {object} Template instance
+	 * @throws {Error} When the content is not a template
+	 */
+	fromJSON(text) {
+		let data;
+		try {
+			data = JSON.parse(text);
+		} catch (e) {
+			throw new Error(_('Invalid JSON: %s').format(e.message));
+		}
+
+		if (!data || typeof data !== 'object' || !data.values || typeof data.values !== 'object')
+			throw new Error(_('Not a container template: "values" is missing'));
+		if (!/^[a-zA-Z0-9_.-]+$/.test(data.name || ''))
+			throw new Error(_('Invalid template name: %s').format(data.name || ''));
+
+		return this.getSingleton(data);
+	},
+});
@@ -8,6 +8,7 @@
 'require podman.model.Volume as Volume';
 'require podman.model.Secret as Secret';
 'require podman.model.Pod as Pod';
+'require podman.model.Template as Template';
 
 return baseclass.extend({
 	/**
@@ -184,4 +185,57 @@ return baseclass.extend({
 			params: []
 		})
 	},
+
+	/**
+	 * Host information methods.
+	 */
+	host: {
+		devices: Model.declareRPC({
+			object: 'podman',
+			method: 'host_devices',
+			params: [],
+			expect: {
+				data: []
+			}
+		}),
+
+		ports: Model.declareRPC({
+			object: 'podman',
+			method: 'host_ports',
+			params: [],
+			expect: {
+				data: []
+			}
+		}),
+
+		// Used while typing in forms, so failures are left to the caller
+		path: Model.declareRPCSilent({
+			object: 'podman',
+			method: 'host_path',
+			params: ['path', 'list']
+		}),
+
+		timezones: Model.declareRPC({
+			object: 'luci',
+			method: 'getTimezones',
+			params: []
+		}),
+	},
+
+	/**
+	 * Container template methods.
+	 */
+	templates: {
+		list: Model.declareRPC({
+			object: 'podman',
+			method: 'templates_list',
+			params: [],
+			expect: {
+				data: []
+			},
+			filter: (templates) => templates
+				.map((template) => Template.getSingleton(template))
+				.sort((templateA, templateB) => templateA.getName().localeCompare(templateB.getName()))
+		}),
+	},
 });
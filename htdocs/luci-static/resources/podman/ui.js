@@ -1,6 +1,7 @@
 'use strict';
 
 'require baseclass';
+'require dom';
 'require ui';
 'require podman.constants as c';
 
@@ -214,6 +215,407 @@ const UIJsonArea = baseclass.extend({
 	},
 });
 
+/**
+ * Editable JSON object with validation against a flat schema
+ * ({ key: 'string'|'integer'|'number'|'boolean'|'object'|'array' }).
+ * Unknown keys are warnings, or errors in strict mode.
+ */
+const UIJsonEditor = baseclass.extend({
+	__name__: 'Podman.UI.JsonEditor',
+
+	__init__(value, schema, options) {
+		this.value = value ?? {};
+		this.schema = schema || {};
+		this.options = Object.assign({ strict: false, rows: 20 }, options);
+	},
+
+	render() {
+		this.textarea = E('textarea', {
+			class: 'cbi-input-textarea',
+			rows: this.options.rows,
+			spellcheck: 'false',
+			input: () => this.validate(),
+		}, JSON.stringify(this.value, null, 2));
+		this.messages = E('div', { class: 'mt-sm' });
+
+		const frameEl = E('div', { class: 'json-editor' }, [ this.textarea, this.messages ]);
+		this.validate();
+
+		return frameEl;
+	},
+
+	/**
+	 * @param {object} value - Object to show in the editor
+	 */
+	setValue(value) {
+		this.value = value ?? {};
+		if (!this.textarea) return;
+		this.textarea.value = JSON.stringify(this.value, null, 2);
+		this.validate();
+	},
+
+	/**
+	 * @returns {object|null} Parsed object, or null while there are errors
+	 */
+	getValue() {
+		return this.validate() ? this.value : null;
+	},
+
+	isValid() {
+		return this.validate();
+	},
+
+	/**
+	 * Parse the editor content and list problems below it.
+	 * @returns {boolean} True when there are no errors
+	 */
+	validate() {
+		const errors = [];
+		const warnings = [];
+		let value;
+
+		try {
+			value = JSON.parse(this.textarea.value);
+		} catch (e) {
+			errors.push(_('Invalid JSON: %s').format(e.message));
+		}
+
+		if (value !== undefined) {
+			if (!value || typeof value !== 'object' || Array.isArray(value)) {
+				errors.push(_('Expecting a JSON object'));
+			} else {
+				Object.entries(value).forEach(([key, item]) => {
+					const type = this.schema[key];
+					if (!type) {
+						(this.options.strict ? errors : warnings).push(_('Unknown key "%s"').format(key));
+					} else if (item !== null && !this.matchesType(item, type)) {
+						errors.push(_('"%s" must be of type %s').format(key, type));
+					}
+				});
+			}
+		}
+
+		if (errors.length === 0) this.value = value;
+
+		this.textarea.classList.toggle('cbi-input-invalid', errors.length > 0);
+		this.messages.replaceChildren(
+			...errors.map((msg) => E('div', { class: 'text-error' }, msg)),
+			...warnings.map((msg) => E('div', { class: 'text-warning' }, msg)),
+		);
+
+		return errors.length === 0;
+	},
+
+	matchesType(value, type) {
+		switch (type) {
+		case 'integer': return Number.isInteger(value);
+		case 'array': return Array.isArray(value);
+		case 'object': return typeof value === 'object' && !Array.isArray(value);
+		default: return typeof value === type;
+		}
+	},
+});
+
+/**
+ * Row editor for container mounts. The value stays in the `source:destination[:options]`
+ * line format of the Volumes field; each row picks an existing volume, a new volume or
+ * a host path (checked and browsed through the optional checkPath / listPath callbacks).
+ */
+const UIMountList = ui.AbstractElement.extend({
+	__name__: 'Podman.UI.MountList',
+
+	__init__(value, options) {
+		this.value = value || '';
+		this.options = Object.assign({ volumes: [], checkPath: null, listPath: null }, options);
+		this.pathStatus = {};
+		this.rows = [];
+	},
+
+	render() {
+		this.rowsNode = E('div', { class: 'mount-list' });
+		const frameEl = E('div', { id: this.options.id }, [
+			this.rowsNode,
+			new UIButton(_('Add mount'), () => {
+				this.addRow(this.parseLine(''));
+				this.handleChange();
+			}, 'add').render(),
+		]);
+
+		this.node = frameEl;
+		dom.bindClassInstance(frameEl, this);
+		this.setValue(this.value);
+
+		return frameEl;
+	},
+
+	getValue() {
+		return this.rows.map((row) => this.formatLine(row.mount)).filter((line) => line).join('\n');
+	},
+
+	setValue(value) {
+		this.value = value || '';
+		this.rows = [];
+		this.rowsNode.replaceChildren();
+
+		this.value.split('\n').filter((line) => line.trim()).forEach((line) => this.addRow(this.parseLine(line)));
+		this.triggerValidation();
+	},
+
+	isValid() {
+		return this.rows.every((row) => !this.getRowError(row.mount));
+	},
+
+	getValidationError() {
+		return this.rows.map((row) => this.getRowError(row.mount)).find((error) => error) || '';
+	},
+
+	triggerValidation() {
+		const wasValid = this.validState !== false;
+
+		this.rows.forEach((row) => {
+			const error = this.getRowError(row.mount);
+			row.errorNode.textContent = error || '';
+			row.sourceNode.querySelector('input, select')?.classList.toggle('cbi-input-invalid', Boolean(error));
+		});
+		this.validState = this.isValid();
+
+		return wasValid !== this.validState;
+	},
+
+	/**
+	 * @param {string} line - Mount in `source:destination[:options]` notation
+	 * @returns {object} Row data
+	 */
+	parseLine(line) {
+		const [source = '', destination = '', options = ''] = line.trim().split(':');
+		const opts = options ? options.split(',') : [];
+
+		let kind = this.options.volumes.length > 0 ? 'volume' : 'new';
+		if (source.includes('/')) kind = 'host';
+		else if (source) kind = this.options.volumes.includes(source) ? 'volume' : 'new';
+
+		return {
+			kind,
+			source,
+			destination,
+			readOnly: opts.includes('ro'),
+			selinux: opts.find((opt) => opt === 'z' || opt === 'Z') || '',
+			extra: opts.filter((opt) => ![ 'ro', 'rw', 'z', 'Z' ].includes(opt)),
+		};
+	},
+
+	formatLine(mount) {
+		if (!mount.source && !mount.destination) return '';
+
+		const opts = [ mount.readOnly ? 'ro' : '', mount.selinux, ...mount.extra ].filter((opt) => opt);
+		return [ mount.source, mount.destination, opts.join(',') ].filter((part) => part).join(':');
+	},
+
+	/**
+	 * @param {object} mount - Row data
+	 * @returns {string|null} Validation error, if any
+	 */
+	getRowError(mount) {
+		if (!mount.source && !mount.destination) return null;
+
+		if (!mount.source) return _('Choose a source');
+		if (mount.kind === 'host') {
+			if (!mount.source.startsWith('/')) return _('Host path must be absolute');
+			if (this.pathStatus[mount.source]?.exists === false) return _('Host path does not exist');
+		} else if (!/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(mount.source)) {
+			return _('Expecting: %s').format(_('volume name'));
+		} else if (mount.kind === 'new' && this.options.volumes.includes(mount.source)) {
+			return _('Volume already exists, choose it as existing volume');
+		}
+		if (!mount.destination.startsWith('/')) return _('Destination must be an absolute path');
+
+		return null;
+	},
+
+	addRow(mount) {
+		const row = { mount };
+		const select = (value, choices, onChange) => E('select', {
+			class: 'cbi-input-select',
+			change: (ev) => onChange(ev.target.value),
+		}, choices.map(([choice, label]) => E('option', { value: choice, selected: choice === value ? '' : null }, label)));
+
+		row.sourceNode = E('div', { class: 'd-flex align-center gap-xs' });
+		row.browserNode = E('div', { class: 'mount-browser' });
+		row.errorNode = E('div', { class: 'text-error' });
+		row.node = E('div', { class: 'mount-row mb-xs' }, [
+			E('div', { class: 'd-flex flex-wrap align-center gap-xs' }, [
+				select(mount.kind, [
+					[ 'volume', _('Volume') ],
+					[ 'new', _('New volume') ],
+					[ 'host', _('Host path') ],
+				], (kind) => {
+					mount.kind = kind;
+					mount.source = '';
+					this.renderSource(row);
+					this.handleChange();
+				}),
+				row.sourceNode,
+				E('input', {
+					class: 'cbi-input-text',
+					placeholder: '/data',
+					value: mount.destination,
+					input: (ev) => {
+						mount.destination = ev.target.value.trim();
+						this.handleChange();
+					},
+				}),
+				select(mount.readOnly ? 'ro' : 'rw', [ [ 'rw', 'rw' ], [ 'ro', 'ro' ] ], (mode) => {
+					mount.readOnly = mode === 'ro';
+					this.handleChange();
+				}),
+				select(mount.selinux, [
+					[ '', _('No relabel') ],
+					[ 'z', _('z (shared)') ],
+					[ 'Z', _('Z (private)') ],
+				], (selinux) => {
+					mount.selinux = selinux;
+					this.handleChange();
+				}),
+				new UIButton('&#10005;', () => {
+					this.rows = this.rows.filter((item) => item !== row);
+					row.node.remove();
+					this.handleChange();
+				}, 'remove', _('Remove')).render(),
+			]),
+			row.errorNode,
+			row.browserNode,
+		]);
+
+		this.renderSource(row);
+		this.rows.push(row);
+		this.rowsNode.appendChild(row.node);
+	},
+
+	renderSource(row) {
+		const mount = row.mount;
+		row.browserNode.replaceChildren();
+
+		if (mount.kind === 'volume') {
+			const names = this.options.volumes.includes(mount.source) || !mount.source
+				? this.options.volumes
+				: [ mount.source, ...this.options.volumes ];
+			if (!mount.source && names.length > 0) mount.source = names[0];
+
+			row.sourceNode.replaceChildren(E('select', {
+				class: 'cbi-input-select',
+				change: (ev) => {
+					mount.source = ev.target.value;
+					this.handleChange();
+				},
+			}, names.map((name) => E('option', { value: name, selected: name === mount.source ? '' : null }, name))));
+			return;
+		}
+
+		const statusNode = E('span', { class: 'mount-path-status' });
+		const input = E('input', {
+			class: 'cbi-input-text',
+			placeholder: mount.kind === 'host' ? '/srv/data' : 'my-volume',
+			value: mount.source,
+			input: (ev) => {
+				mount.source = ev.target.value.trim();
+				this.handleChange();
+			},
+			change: () => this.checkPath(row),
+		});
+
+		if (mount.kind !== 'host') {
+			row.sourceNode.replaceChildren(input);
+			return;
+		}
+
+		row.sourceNode.replaceChildren(
+			input,
+			...(this.options.listPath ? [ new UIButton(_('Browse'), () => this.toggleBrowser(row)).render() ] : []),
+			statusNode,
+		);
+		this.checkPath(row);
+	},
+
+	async checkPath(row) {
+		const path = row.mount.source;
+		if (row.mount.kind !== 'host' || !path.startsWith('/') || !this.options.checkPath) return;
+
+		if (!this.pathStatus[path]) {
+			this.pathStatus[path] = await this.options.checkPath(path).catch(() => ({}));
+		}
+		if (row.mount.source !== path) return;
+
+		const status = this.pathStatus[path];
+		const statusNode = row.sourceNode.querySelector('.mount-path-status');
+		if (statusNode) {
+			statusNode.className = `mount-path-status ${status.exists ? 'text-success' : 'text-error'}`;
+			statusNode.textContent = status.exists ? (status.type === 'directory' ? _('directory') : _('file')) : _('not found');
+		}
+		this.triggerValidation();
+	},
+
+	toggleBrowser(row) {
+		if (row.browserNode.childNodes.length > 0) {
+			row.browserNode.replaceChildren();
+			return;
+		}
+
+		const start = row.mount.source.startsWith('/') ? row.mount.source : '/';
+		this.browse(row, start);
+	},
+
+	async browse(row, path) {
+		const result = await this.options.listPath(path).catch(() => null);
+		if (!result) return;
+
+		// Open the parent when the start is a file or does not exist (yet)
+		if (result.type !== 'directory') {
+			if (path !== '/') this.browse(row, path.replace(/\/[^/]*\/?$/, '') || '/');
+			return;
+		}
+
+		const join = (name) => `${path.replace(/\/$/, '')}/${name}`;
+		const choose = (chosen, type) => {
+			row.mount.source = chosen;
+			this.pathStatus[chosen] = { exists: true, type };
+			this.renderSource(row);
+			this.handleChange();
+		};
+
+		const entries = (result.entries || []).slice()
+			.sort((a, b) => (a.type === 'directory' ? 0 : 1) - (b.type === 'directory' ? 0 : 1));
+
+		row.browserNode.replaceChildren(E('div', { class: 'mount-browser-panel mt-sm' }, [
+			E('div', { class: 'd-flex align-center gap-xs mb-xs' }, [
+				E('code', {}, path),
+				new UIButton(_('Use this directory'), () => choose(path, 'directory'), 'apply').render(),
+			]),
+			E('ul', {}, [
+				...(path !== '/' ? [ E('li', {}, E('a', {
+					href: '#',
+					click: (ev) => {
+						ev.preventDefault();
+						this.browse(row, path.replace(/\/[^/]+\/?$/, '') || '/');
+					},
+				}, '..')) ] : []),
+				...entries.map((entry) => E('li', {}, E('a', {
+					href: '#',
+					click: (ev) => {
+						ev.preventDefault();
+						if (entry.type === 'directory') this.browse(row, join(entry.name));
+						else choose(join(entry.name), entry.type);
+					},
+				}, entry.type === 'directory' ? `${entry.name}/` : entry.name))),
+			]),
+		]));
+	},
+
+	handleChange() {
+		this.triggerValidation();
+		this.node.dispatchEvent(new CustomEvent('widget-change', { bubbles: true }));
+	},
+});
+
 const UIBashCodeArea = baseclass.extend({
 	__name__: 'Podman.UI.BashCodeArea',
 
@@ -324,6 +726,510 @@ const UIStreamLog = baseclass.extend({
 	}
 });
 
+/**
+ * Minimal VT100/xterm screen for interactive exec sessions: cursor movement,
+ * erase, scroll regions, the alternate screen and the 16 standard colours.
+ * Output is fed with write(); keystrokes and pastes are handed to onData()
+ * as the byte sequences a terminal would send, size changes to onResize().
+ */
+const UITerminal = baseclass.extend({
+	__name__: 'Podman.UI.Terminal',
+
+	scrollback: 1000,
+
+	__init__(opts) {
+		opts = opts || {};
+		this.onData = opts.onData || (() => {});
+		this.onResize = opts.onResize || (() => {});
+		this.rows = 24;
+		this.cols = 80;
+
+		this.historyNode = E('div', { class: 'terminal-history' });
+		this.screenNode = E('div', { class: 'terminal-lines' });
+		this.node = E('pre', { class: 'terminal-area terminal-screen', tabindex: '0' }, [
+			this.historyNode,
+			this.screenNode,
+		]);
+
+		this.node.addEventListener('keydown', (ev) => this.handleKey(ev));
+		this.node.addEventListener('paste', (ev) => {
+			ev.preventDefault();
+			const text = ev.clipboardData?.getData('text') || '';
+			if (text) this.onData(text.replace(/\r?\n/g, '\r'));
+		});
+
+		this.reset();
+	},
+
+	render() {
+		return this.node;
+	},
+
+	focus() {
+		this.node.focus();
+	},
+
+	reset() {
+		this.lines = this.blankLines(this.rows);
+		this.x = 0;
+		this.y = 0;
+		this.top = 0;
+		this.bottom = this.rows - 1;
+		this.sgr = { fg: null, bg: null, bold: false, inverse: false, underline: false };
+		this.attr = '';
+		this.saved = null;
+		this.altLines = null;
+		this.wrapPending = false;
+		this.cursorVisible = true;
+		this.appCursor = false;
+		this.state = 'text';
+		this.params = '';
+		this.historyNode.replaceChildren();
+		this.scheduleRender();
+	},
+
+	/**
+	 * Size the screen to the space the node has, and report a change through onResize().
+	 */
+	fit() {
+		const probe = E('span', {}, 'W'.repeat(10));
+		this.screenNode.appendChild(probe);
+		const rect = probe.getBoundingClientRect();
+		probe.remove();
+
+		if (!rect.width || !rect.height) return;
+
+		const style = window.getComputedStyle(this.node);
+		const width = this.node.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+		const height = this.node.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+		const cols = Math.max(20, Math.floor(width / (rect.width / 10)));
+		const rows = Math.max(5, Math.floor(height / rect.height));
+
+		if (cols === this.cols && rows === this.rows) return;
+
+		this.resize(rows, cols);
+		this.onResize(rows, cols);
+	},
+
+	resize(rows, cols) {
+		// Keep the cursor line on screen: lines that no longer fit above it go to the history
+		while (this.lines.length > rows && this.y > 0) {
+			this.pushHistory(this.lines.shift());
+			this.y--;
+		}
+		const fitLines = (lines) => {
+			lines = lines.slice(0, rows);
+			while (lines.length < rows) lines.push(this.blankLine(cols));
+			return lines.map((line) => line.length >= cols
+				? line.slice(0, cols)
+				: line.concat(this.blankLine(cols - line.length)));
+		};
+		this.lines = fitLines(this.lines);
+		if (this.altLines) this.altLines = fitLines(this.altLines);
+
+		this.rows = rows;
+		this.cols = cols;
+		this.top = 0;
+		this.bottom = rows - 1;
+		this.x = Math.min(this.x, cols - 1);
+		this.y = Math.min(this.y, rows - 1);
+		this.wrapPending = false;
+		this.scheduleRender();
+	},
+
+	write(text) {
+		for (const ch of text) {
+			this.feed(ch);
+		}
+		this.scheduleRender();
+	},
+
+	feed(ch) {
+		switch (this.state) {
+		case 'esc':
+			this.state = 'text';
+			if (ch === '[') {
+				this.state = 'csi';
+				this.params = '';
+			} else if (ch === ']') {
+				this.state = 'osc';
+			} else if (ch === '(' || ch === ')') {
+				this.state = 'charset';
+			} else if (ch === '7') {
+				this.saveCursor();
+			} else if (ch === '8') {
+				this.restoreCursor();
+			} else if (ch === 'D') {
+				this.lineFeed();
+			} else if (ch === 'E') {
+				this.x = 0;
+				this.lineFeed();
+			} else if (ch === 'M') {
+				this.reverseIndex();
+			} else if (ch === 'c') {
+				this.reset();
+			}
+			return;
+		case 'csi':
+			if (ch >= '@' && ch <= '~') {
+				this.state = 'text';
+				this.csi(ch, this.params);
+			} else {
+				this.params += ch;
+			}
+			return;
+		case 'osc':
+			// Window titles and the like: skipped up to BEL or ST
+			if (ch === '\x07') this.state = 'text';
+			else if (ch === '\x1b') this.state = 'esc';
+			return;
+		case 'charset':
+			this.state = 'text';
+			return;
+		}
+
+		switch (ch) {
+		case '\x1b':
+			this.state = 'esc';
+			break;
+		case '\r':
+			this.x = 0;
+			this.wrapPending = false;
+			break;
+		case '\n':
+		case '\x0b':
+		case '\x0c':
+			this.lineFeed();
+			break;
+		case '\b':
+			this.x = Math.max(0, this.x - 1);
+			this.wrapPending = false;
+			break;
+		case '\t':
+			this.x = Math.min(this.cols - 1, (Math.floor(this.x / 8) + 1) * 8);
+			break;
+		case '\x07':
+			break;
+		default:
+			if (ch >= ' ') this.put(ch);
+		}
+	},
+
+	put(ch) {
+		if (this.wrapPending) {
+			this.x = 0;
+			this.lineFeed();
+		}
+
+		this.lines[this.y][this.x] = [ ch, this.attr ];
+
+		if (this.x === this.cols - 1) {
+			this.wrapPending = true;
+		} else {
+			this.x++;
+		}
+	},
+
+	lineFeed() {
+		this.wrapPending = false;
+		if (this.y === this.bottom) {
+			this.scrollUp(1);
+		} else if (this.y < this.rows - 1) {
+			this.y++;
+		}
+	},
+
+	reverseIndex() {
+		if (this.y === this.top) {
+			this.scrollDown(1);
+		} else if (this.y > 0) {
+			this.y--;
+		}
+	},
+
+	scrollUp(n) {
+		for (let i = 0; i < n; i++) {
+			const line = this.lines.splice(this.top, 1)[0];
+			if (this.top === 0 && !this.altLines) this.pushHistory(line);
+			this.lines.splice(this.bottom, 0, this.blankLine(this.cols));
+		}
+	},
+
+	scrollDown(n) {
+		for (let i = 0; i < n; i++) {
+			this.lines.splice(this.bottom, 1);
+			this.lines.splice(this.top, 0, this.blankLine(this.cols));
+		}
+	},
+
+	csi(final, params) {
+		const priv = params.startsWith('?');
+		const args = (priv ? params.slice(1) : params).split(';').map((p) => parseInt(p, 10));
+		const n = args[0] > 0 ? args[0] : 1;
+		const line = this.lines[this.y];
+
+		if (final !== 'm') this.wrapPending = false;
+
+		switch (final) {
+		case 'A': this.y = Math.max(this.y >= this.top ? this.top : 0, this.y - n); break;
+		case 'B': this.y = Math.min(this.y <= this.bottom ? this.bottom : this.rows - 1, this.y + n); break;
+		case 'C': this.x = Math.min(this.cols - 1, this.x + n); break;
+		case 'D': this.x = Math.max(0, this.x - n); break;
+		case 'E': this.x = 0; this.y = Math.min(this.rows - 1, this.y + n); break;
+		case 'F': this.x = 0; this.y = Math.max(0, this.y - n); break;
+		case 'G':
+		case '`': this.x = Math.min(this.cols - 1, n - 1); break;
+		case 'd': this.y = Math.min(this.rows - 1, n - 1); break;
+		case 'H':
+		case 'f':
+			this.y = Math.min(this.rows - 1, (args[0] || 1) - 1);
+			this.x = Math.min(this.cols - 1, (args[1] || 1) - 1);
+			break;
+		case 'J':
+			if (args[0] === 1) {
+				for (let y = 0; y < this.y; y++) this.lines[y] = this.blankLine(this.cols);
+				this.erase(line, 0, this.x + 1);
+			} else if (args[0] === 2 || args[0] === 3) {
+				this.lines = this.blankLines(this.rows);
+			} else {
+				this.erase(line, this.x, this.cols);
+				for (let y = this.y + 1; y < this.rows; y++) this.lines[y] = this.blankLine(this.cols);
+			}
+			break;
+		case 'K':
+			if (args[0] === 1) this.erase(line, 0, this.x + 1);
+			else if (args[0] === 2) this.erase(line, 0, this.cols);
+			else this.erase(line, this.x, this.cols);
+			break;
+		case 'L':
+		case 'M':
+			if (this.y < this.top || this.y > this.bottom) break;
+			for (let i = 0; i < n; i++) {
+				if (final === 'L') {
+					this.lines.splice(this.bottom, 1);
+					this.lines.splice(this.y, 0, this.blankLine(this.cols));
+				} else {
+					this.lines.splice(this.y, 1);
+					this.lines.splice(this.bottom, 0, this.blankLine(this.cols));
+				}
+			}
+			break;
+		case 'P':
+			line.splice(this.x, n);
+			while (line.length < this.cols) line.push([ ' ', '' ]);
+			break;
+		case '@':
+			line.splice(this.x, 0, ...this.blankLine(n));
+			line.length = this.cols;
+			break;
+		case 'X': this.erase(line, this.x, this.x + n); break;
+		case 'S': this.scrollUp(n); break;
+		case 'T': this.scrollDown(n); break;
+		case 'r':
+			this.top = Math.max(0, (args[0] || 1) - 1);
+			this.bottom = Math.min(this.rows - 1, (args[1] || this.rows) - 1);
+			this.x = 0;
+			this.y = 0;
+			break;
+		case 's': this.saveCursor(); break;
+		case 'u': this.restoreCursor(); break;
+		case 'm': this.setGraphics(params ? args : [ 0 ]); break;
+		case 'n':
+			if (args[0] === 6) this.onData(`\x1b[${this.y + 1};${this.x + 1}R`);
+			else if (args[0] === 5) this.onData('\x1b[0n');
+			break;
+		case 'h':
+		case 'l':
+			if (priv) this.setMode(args, final === 'h');
+			break;
+		}
+	},
+
+	setMode(modes, on) {
+		modes.forEach((mode) => {
+			if (mode === 1) {
+				this.appCursor = on;
+			} else if (mode === 25) {
+				this.cursorVisible = on;
+			} else if ((mode === 47 || mode === 1047 || mode === 1049) && on !== !!this.altLines) {
+				if (on) {
+					this.saveCursor();
+					this.altLines = this.lines;
+					this.lines = this.blankLines(this.rows);
+				} else {
+					this.lines = this.altLines;
+					this.altLines = null;
+					this.restoreCursor();
+				}
+			}
+		});
+	},
+
+	setGraphics(args) {
+		const sgr = this.sgr;
+		for (let i = 0; i < args.length; i++) {
+			const a = args[i] || 0;
+			if (a === 0) Object.assign(sgr, { fg: null, bg: null, bold: false, inverse: false, underline: false });
+			else if (a === 1) sgr.bold = true;
+			else if (a === 4) sgr.underline = true;
+			else if (a === 7) sgr.inverse = true;
+			else if (a === 22) sgr.bold = false;
+			else if (a === 24) sgr.underline = false;
+			else if (a === 27) sgr.inverse = false;
+			else if (a >= 30 && a <= 37) sgr.fg = a - 30;
+			else if (a === 39) sgr.fg = null;
+			else if (a >= 40 && a <= 47) sgr.bg = a - 40;
+			else if (a === 49) sgr.bg = null;
+			else if (a >= 90 && a <= 97) sgr.fg = a - 82;
+			else if (a >= 100 && a <= 107) sgr.bg = a - 92;
+			else if (a === 38 || a === 48) {
+				// 256 colours map to the standard 16 where they can, true colour is skipped
+				const key = a === 38 ? 'fg' : 'bg';
+				if (args[i + 1] === 5) {
+					if (args[i + 2] < 16) sgr[key] = args[i + 2];
+					i += 2;
+				} else if (args[i + 1] === 2) {
+					i += 4;
+				}
+			}
+		}
+
+		const fg = sgr.inverse ? sgr.bg : sgr.fg;
+		const bg = sgr.inverse ? sgr.fg : sgr.bg;
+		const classes = [];
+		if (fg !== null) classes.push(`term-fg-${fg}`);
+		else if (sgr.inverse) classes.push('term-fg-inverse');
+		if (bg !== null) classes.push(`term-bg-${bg}`);
+		else if (sgr.inverse) classes.push('term-bg-inverse');
+		if (sgr.bold) classes.push('term-bold');
+		if (sgr.underline) classes.push('term-underline');
+		this.attr = classes.join(' ');
+	},
+
+	saveCursor() {
+		this.saved = { x: this.x, y: this.y, attr: this.attr, sgr: Object.assign({}, this.sgr) };
+	},
+
+	restoreCursor() {
+		if (!this.saved) return;
+		this.x = Math.min(this.saved.x, this.cols - 1);
+		this.y = Math.min(this.saved.y, this.rows - 1);
+		this.attr = this.saved.attr;
+		this.sgr = Object.assign({}, this.saved.sgr);
+		this.wrapPending = false;
+	},
+
+	erase(line, from, to) {
+		for (let x = from; x < Math.min(to, this.cols); x++) line[x] = [ ' ', '' ];
+	},
+
+	blankLine(cols) {
+		return Array.from({ length: cols }, () => [ ' ', '' ]);
+	},
+
+	blankLines(rows) {
+		return Array.from({ length: rows }, () => this.blankLine(this.cols));
+	},
+
+	pushHistory(line) {
+		const node = E('div', {});
+		node.innerHTML = this.renderLine(line, -1);
+		this.historyNode.appendChild(node);
+		while (this.historyNode.childElementCount > this.scrollback) {
+			this.historyNode.firstChild.remove();
+		}
+	},
+
+	renderLine(line, cursorX) {
+		const escape = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+		let html = '';
+		let run = '';
+		let runAttr = '';
+
+		const flush = () => {
+			if (!run) return;
+			html += runAttr ? `<span class="${runAttr}">${escape(run)}</span>` : escape(run);
+			run = '';
+		};
+
+		line.forEach(([ ch, attr ], x) => {
+			if (x === cursorX) {
+				flush();
+				html += `<span class="term-cursor ${attr}">${escape(ch)}</span>`;
+				return;
+			}
+			if (attr !== runAttr) {
+				flush();
+				runAttr = attr;
+			}
+			run += ch;
+		});
+		flush();
+
+		return html.replace(/\s+$/, '') || ' ';
+	},
+
+	scheduleRender() {
+		if (this.renderPending) return;
+		this.renderPending = true;
+		window.requestAnimationFrame(() => {
+			this.renderPending = false;
+			const stick = (this.node.scrollHeight - this.node.scrollTop - this.node.clientHeight) < 5;
+			this.screenNode.innerHTML = this.lines
+				.map((line, y) => `<div>${this.renderLine(line, this.cursorVisible && y === this.y ? this.x : -1)}</div>`)
+				.join('');
+			if (stick) this.node.scrollTop = this.node.scrollHeight;
+		});
+	},
+
+	handleKey(ev) {
+		// Leave the browser's own shortcuts (copy, paste, dev tools) alone
+		if (ev.metaKey || (ev.ctrlKey && ev.shiftKey) || ev.isComposing) return;
+
+		const cursor = (c) => (this.appCursor ? '\x1bO' : '\x1b[') + c;
+		const keys = {
+			Enter: '\r',
+			Backspace: '\x7f',
+			Tab: '\t',
+			Escape: '\x1b',
+			ArrowUp: cursor('A'),
+			ArrowDown: cursor('B'),
+			ArrowRight: cursor('C'),
+			ArrowLeft: cursor('D'),
+			Home: cursor('H'),
+			End: cursor('F'),
+			Insert: '\x1b[2~',
+			Delete: '\x1b[3~',
+			PageUp: '\x1b[5~',
+			PageDown: '\x1b[6~',
+			F1: '\x1bOP',
+			F2: '\x1bOQ',
+			F3: '\x1bOR',
+			F4: '\x1bOS',
+		};
+
+		let data = keys[ev.key];
+
+		if (!data && ev.key.length === 1) {
+			// AltGr arrives as Ctrl+Alt and already carries the right character
+			const altGr = ev.ctrlKey && ev.altKey;
+			if (ev.ctrlKey && !altGr) {
+				const code = ev.key.toUpperCase().charCodeAt(0);
+				if (code >= 64 && code <= 95) data = String.fromCharCode(code - 64);
+				else if (ev.key === ' ') data = '\x00';
+			} else {
+				data = ev.key;
+			}
+			if (data && ev.altKey && !altGr) data = '\x1b' + data;
+		}
+
+		if (!data) return;
+
+		ev.preventDefault();
+		this.onData(data);
+	},
+});
+
 /**
  * Table builder with header and row chaining.
  */
@@ -546,6 +1452,8 @@ const PodmanUI = UIBase.extend({
 	SecretText: UISecretText,
 
 	JsonArea: UIJsonArea,
+	JsonEditor: UIJsonEditor,
+	MountList: UIMountList,
 	BashCodeArea: UIBashCodeArea,
 
 	Table: UITable,
@@ -554,6 +1462,7 @@ const PodmanUI = UIBase.extend({
 	Tooltip: UITooltip,
 
 	StreamLog: UIStreamLog,
+	Terminal: UITerminal,
 });
 
 return PodmanUI;
@@ -33,6 +33,50 @@ const UtilIpv6 = baseclass.extend({
 			ipv6gateway: `${ipv6SubnetAddress}1`
 		};
 	},
+
+	/**
+	 * Expand an IPv6 address to its eight 16-bit groups.
+	 * @param {string} ip - IPv6 address (e.g., "fd00::1")
+	 * @returns {number[]|null} Groups or null if invalid
+	 */
+	_expand(ip) {
+		if (!ip || typeof ip !== 'string' || !/^[0-9a-f:]+$/i.test(ip)) return null;
+
+		const halves = ip.split('::');
+		if (halves.length > 2) return null;
+
+		const head = halves[0] ? halves[0].split(':') : [];
+		const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+		const missing = 8 - head.length - tail.length;
+		if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+		const hextets = [ ...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail ];
+		if (hextets.some((h) => !/^[0-9a-f]{1,4}$/i.test(h))) return null;
+
+		return hextets.map((h) => parseInt(h, 16));
+	},
+
+	/**
+	 * Check whether an IPv6 address lies within a subnet.
+	 * @param {string} ip - IPv6 address (e.g., "fd52:425:78eb:1::10")
+	 * @param {string} cidr - Subnet in CIDR notation (e.g., "fd52:425:78eb:1::/64")
+	 * @returns {boolean}
+	 */
+	inSubnet(ip, cidr) {
+		const [network, prefix] = String(cidr || '').split('/');
+		const address = this._expand(ip);
+		const base = this._expand(network);
+		const prefixLen = parseInt(prefix, 10);
+
+		if (!address || !base || isNaN(prefixLen) || prefixLen < 0 || prefixLen > 128) return false;
+
+		for (let i = 0, bits = prefixLen; bits > 0; i++, bits -= 16) {
+			const mask = bits >= 16 ? 0xFFFF : (0xFFFF << (16 - bits)) & 0xFFFF;
+			if ((address[i] & mask) !== (base[i] & mask)) return false;
+		}
+
+		return true;
+	},
 });
 
 const UtilIpv4 = baseclass.extend({
@@ -74,6 +118,25 @@ const UtilIpv4 = baseclass.extend({
 		};
 	},
 
+	/**
+	 * Check whether an address is a usable host of a subnet, i.e. inside the
+	 * range and neither the network nor the broadcast address (/31 and /32 excepted).
+	 * @param {string} ip - IPv4 address (e.g., "10.89.0.5")
+	 * @param {string} cidr - CIDR notation (e.g., "10.89.0.0/24")
+	 * @returns {boolean}
+	 */
+	isHostInSubnet(ip, cidr) {
+		const range = this.cidrToRange(cidr);
+		const octets = String(ip || '').split('.').map(Number);
+		if (!range || octets.length !== 4 || octets.some(o => isNaN(o) || o < 0 || o > 255)) return false;
+
+		const n     = this._ipToInt(octets);
+		const start = this._ipToInt(range.start_ip.split('.').map(Number));
+		const end   = this._ipToInt(range.end_ip.split('.').map(Number));
+
+		return end - start < 2 ? (n >= start && n <= end) : (n > start && n < end);
+	},
+
 	/**
 	 * Return the first usable host address in a subnet (network address + 1).
 	 * Conventionally used as the gateway address.
@@ -91,6 +154,243 @@ const UtilIpv4 = baseclass.extend({
 	},
 });
 
+const UtilCli = baseclass.extend({
+	__name__: 'Podman.Util.Cli',
+
+	// podman run flags that never take a value
+	BOOLEAN_FLAGS: [
+		'detach', 'interactive', 'tty', 'rm', 'privileged', 'init', 'read-only', 'read-only-tmpfs',
+		'no-healthcheck', 'no-hosts', 'publish-all', 'replace', 'quiet', 'sig-proxy', 'env-host',
+		'http-proxy', 'oom-kill-disable', 'rootfs', 'help',
+	],
+
+	SHORT_FLAGS: {
+		d: 'detach', i: 'interactive', t: 'tty', P: 'publish-all', q: 'quiet',
+		p: 'publish', e: 'env', v: 'volume', u: 'user', w: 'workdir', h: 'hostname',
+		l: 'label', m: 'memory', c: 'cpu-shares', a: 'attach',
+	},
+
+	/**
+	 * Split a shell command line into arguments.
+	 * Handles single/double quotes, backslash escapes and line continuations.
+	 * @param {string} line - Command line (e.g., "podman run -e 'A=b c' nginx")
+	 * @returns {string[]} Arguments
+	 */
+	tokenize(line) {
+		const args = [];
+		let current = '';
+		let inToken = false;
+		let quote = null;
+
+		for (let i = 0; i < line.length; i++) {
+			const ch = line[i];
+
+			if (quote === "'") {
+				if (ch === "'") quote = null;
+				else current += ch;
+				continue;
+			}
+
+			if (ch === '\\') {
+				const next = line[++i];
+				if (next === undefined || next === '\n') continue;
+				if (quote === '"' && !['"', '\\', '$', '`'].includes(next)) current += ch;
+				current += next;
+				inToken = true;
+				continue;
+			}
+
+			if (quote === '"') {
+				if (ch === '"') quote = null;
+				else current += ch;
+				continue;
+			}
+
+			if (ch === "'" || ch === '"') {
+				quote = ch;
+				inToken = true;
+			} else if (/\s/.test(ch)) {
+				if (inToken) args.push(current);
+				current = '';
+				inToken = false;
+			} else {
+				current += ch;
+				inToken = true;
+			}
+		}
+
+		if (inToken) args.push(current);
+
+		return args;
+	},
+
+	/**
+	 * Parse a `podman run` / `docker run` / `podman create` command.
+	 * Accepts a command line string or an argument array (e.g., inspect Config.CreateCommand).
+	 * @param {string|string[]} command - Command to parse
+	 * @returns {{start: boolean, image: string, command: string[], options: Array<{name: string, value: (string|boolean), arg: string}>}}
+	 */
+	parseRunCommand(command) {
+		const args = Array.isArray(command) ? command.slice() : this.tokenize(String(command || ''));
+		const result = { start: false, image: '', command: [], options: [] };
+
+		// Skip the binary and subcommand: [sudo] podman|docker [container] run|create
+		while (args.length && /^(sudo|\S*\/?(podman|docker))$/.test(args[0])) args.shift();
+		if (args[0] === 'container') args.shift();
+		if (args[0] === 'run' || args[0] === 'create') {
+			result.start = args.shift() === 'run';
+		}
+
+		while (args.length) {
+			const arg = args.shift();
+
+			if (arg === '--') {
+				break;
+			}
+
+			if (!arg.startsWith('-') || arg === '-') {
+				result.image = arg;
+				break;
+			}
+
+			if (arg.startsWith('--')) {
+				const eq = arg.indexOf('=');
+				const name = eq > 0 ? arg.substring(2, eq) : arg.substring(2);
+				let value;
+
+				if (eq > 0) {
+					value = arg.substring(eq + 1);
+				} else if (this.BOOLEAN_FLAGS.includes(name)) {
+					value = true;
+				} else {
+					value = args.shift() ?? '';
+				}
+
+				result.options.push({ name, value, arg });
+				continue;
+			}
+
+			// Short flags, possibly combined (-dit) or with an attached value (-p8080:80)
+			for (let i = 1; i < arg.length; i++) {
+				const name = this.SHORT_FLAGS[arg[i]] || arg[i];
+
+				if (this.BOOLEAN_FLAGS.includes(name)) {
+					result.options.push({ name, value: true, arg: '-' + arg[i] });
+					continue;
+				}
+
+				const rest = arg.substring(i + 1);
+				const value = rest ? rest.replace(/^=/, '') : (args.shift() ?? '');
+				result.options.push({ name, value, arg: '-' + arg[i] });
+				break;
+			}
+		}
+
+		if (!result.image && args.length) result.image = args.shift();
+		result.command = args;
+
+		return result;
+	},
+
+	/**
+	 * Parse a `--network` value: name[:ip=..,ip6=..,mac=..,alias=..]
+	 * @param {string} value - Network option value (e.g., "lan:ip=10.89.0.10,alias=db")
+	 * @returns {{name: string, ip: string, ip6: string, mac: string, aliases: string[], unknown: string[]}}
+	 */
+	parseNetworkOption(value) {
+		const [name, options] = String(value || '').split(/:(.*)/);
+		const network = { name: name.trim(), ip: '', ip6: '', mac: '', aliases: [], unknown: [] };
+
+		(options || '').split(',').filter((option) => option).forEach((option) => {
+			const [key, optionValue = ''] = option.split(/=(.*)/);
+			if (key === 'alias') network.aliases.push(optionValue);
+			else if (key === 'ip' || key === 'ip6' || key === 'mac') network[key] = optionValue;
+			else network.unknown.push(option);
+		});
+
+		return network;
+	},
+
+	/**
+	 * Parse a .env file (dotenv syntax, as used by `--env-file` and compose).
+	 * Supports comments, an `export` prefix, single/double quotes and quoted multi-line values.
+	 * @param {string} text - File content
+	 * @returns {{entries: Array<{key: string, value: string, line: number}>, errors: number[]}}
+	 *   Variables in file order and the numbers of lines that could not be parsed
+	 */
+	parseEnvFile(text) {
+		const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+		const entries = [];
+		const errors = [];
+
+		// Index of the closing quote, skipping backslash escapes inside double quotes
+		const closingQuote = (value, quote) => {
+			for (let i = 0; i < value.length; i++) {
+				if (quote === '"' && value[i] === '\\') i++;
+				else if (value[i] === quote) return i;
+			}
+			return -1;
+		};
+
+		for (let i = 0; i < lines.length; i++) {
+			const lineNo = i + 1;
+			const line = lines[i].trim();
+			if (!line || line.startsWith('#')) continue;
+
+			const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+			if (!match) {
+				errors.push(lineNo);
+				continue;
+			}
+
+			const [, key, rest] = match;
+			const quote = rest[0];
+
+			if (quote !== '"' && quote !== "'") {
+				entries.push({ key, value: rest.replace(/\s+#.*$/, '').trim(), line: lineNo });
+				continue;
+			}
+
+			let raw = rest.substring(1);
+			let end = closingQuote(raw, quote);
+			while (end < 0 && i + 1 < lines.length) {
+				raw += '\n' + lines[++i];
+				end = closingQuote(raw, quote);
+			}
+			if (end < 0) {
+				errors.push(lineNo);
+				continue;
+			}
+
+			let value = raw.substring(0, end);
+			if (quote === '"') {
+				value = value.replace(/\\(.)/g, (_m, ch) => ({ n: '\n', r: '\r', t: '\t' })[ch] ?? ch);
+			}
+			entries.push({ key, value, line: lineNo });
+		}
+
+		return { entries, errors };
+	},
+
+	/**
+	 * Parse a `--secret` value: name[,type=mount|env][,target=..][,uid=..][,gid=..][,mode=..]
+	 * @param {string} value - Secret option value (e.g., "db_pass,type=env,target=DB_PASSWORD")
+	 * @returns {{source: string, type: string, target: string, uid: string, gid: string, mode: string}}
+	 */
+	parseSecretOption(value) {
+		const [source, ...options] = String(value || '').split(',');
+		const secret = { source: source.trim(), type: 'mount', target: '', uid: '', gid: '', mode: '' };
+
+		options.forEach((option) => {
+			const eq = option.indexOf('=');
+			const key = (eq > 0 ? option.substring(0, eq) : option).trim();
+			if (key in secret && key !== 'source') secret[key] = eq > 0 ? option.substring(eq + 1).trim() : '';
+		});
+
+		return secret;
+	},
+});
+
 const UtilFormat = baseclass.extend({
 	__name__: 'Podman.Util.Format',
 
@@ -175,6 +475,15 @@ const UtilFormat = baseclass.extend({
 		return Math.floor(value * (multipliers[unit] || 1));
 	},
 
+	/**
+	 * Format nanoseconds as a single-unit duration (accepted by parseDuration()).
+	 * @param {number} ns - Duration in nanoseconds
+	 * @returns {string} Duration (e.g., "30s")
+	 */
+	shortDuration(ns) {
+		return ns % 1e9 === 0 ? `${ns / 1e9}s` : `${Math.round(ns / 1e6)}ms`;
+	},
+
 	/**
 	 * Parse duration string to nanoseconds (Podman format)
 	 * Supports formats: 30s, 1m, 1h, 500ms, etc.
@@ -201,6 +510,27 @@ const UtilFormat = baseclass.extend({
 
 		return Math.floor(value * (multipliers[unit] || 0));
 	},
+
+	/**
+	 * Format nanoseconds to a short duration string
+	 * @param {number} ns - Duration in nanoseconds
+	 * @returns {string} Duration string (e.g., "500ms", "30s", "1h5m")
+	 */
+	duration(ns) {
+		if (!ns) return '0s';
+		if (ns < 1000000000) return Math.round(ns / 1000000) + 'ms';
+
+		let seconds = Math.round(ns / 1000000000);
+		const parts = [];
+		for (const [unit, size] of [['h', 3600], ['m', 60], ['s', 1]]) {
+			if (seconds >= size) {
+				parts.push(Math.floor(seconds / size) + unit);
+				seconds %= size;
+			}
+		}
+
+		return parts.join('');
+	},
 });
 
 /**
@@ -213,6 +543,8 @@ return baseclass.extend({
 
 	format: new UtilFormat(),
 
+	cli: new UtilCli(),
+
 	truncate(str, maxLength) {
 		if (!str || str.length <= maxLength) {
 			return str;
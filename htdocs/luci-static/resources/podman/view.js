@@ -169,6 +169,10 @@ const ViewForm = baseclass.extend({
 		return this.getField(name)?.formvalue(this.section?.sectiontype);
 	},
 
+	setFieldValue(name, value) {
+		this.getField(name)?.getUIElement(this.section?.sectiontype)?.setValue(value);
+	},
+
 	getFieldValues() {
 		const values = {};
 		const fields = this.getFields();
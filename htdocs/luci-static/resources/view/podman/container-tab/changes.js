@@ -0,0 +1,176 @@
+'use strict';
+
+'require dom';
+'require ui';
+
+'require podman.ui as podmanUI';
+'require podman.utils as utils';
+'require podman.view as podmanView';
+'require podman.rpc as podmanRPC';
+
+// Kind values of the changes API
+const KINDS = {
+	0: { letter: 'C', label: _('Changed'), cssClass: 'text-warning' },
+	1: { letter: 'A', label: _('Added'), cssClass: 'text-success' },
+	2: { letter: 'D', label: _('Deleted'), cssClass: 'text-error' },
+};
+
+// Folders below this depth start collapsed
+const OPEN_DEPTH = 2;
+
+/**
+ * Build a tree of path nodes from the flat change list. Folders that only
+ * appear as parents of a change get no kind of their own.
+ * @param {Array<{Path: string, Kind: number, Size: ?number}>} changes
+ * @returns {{name: string, children: Map, kind: ?number, size: ?number}} Root node
+ */
+function buildTree(changes) {
+	const root = { name: '/', children: new Map(), kind: null, size: null };
+
+	changes.forEach((change) => {
+		let node = root;
+
+		change.Path.split('/').filter((part) => part).forEach((part) => {
+			if (!node.children.has(part))
+				node.children.set(part, { name: part, children: new Map(), kind: null, size: null });
+			node = node.children.get(part);
+		});
+
+		node.kind = change.Kind;
+		node.size = change.Size ?? null;
+	});
+
+	return root;
+}
+
+/**
+ * Sum the sizes of a node and its descendants into node.total.
+ * @param {object} node
+ * @returns {?number} null when nothing below has a known size
+ */
+function sumSizes(node) {
+	let total = node.size;
+
+	node.children.forEach((child) => {
+		const size = sumSizes(child);
+		if (size !== null) total = (total ?? 0) + size;
+	});
+
+	node.total = total;
+	return total;
+}
+
+return podmanView.tabContent.extend({
+	tab: 'changes',
+	container: null,
+	changes: null,
+	loaded: false,
+
+	render(container) {
+		this.container = container;
+
+		this.filterSelect = E('select', {
+			class: 'cbi-input-select',
+			change: () => this.renderTree(),
+		}, [
+			E('option', { value: '' }, _('All changes')),
+			...Object.keys(KINDS).map((kind) => E('option', { value: kind }, KINDS[kind].label)),
+		]);
+		this.summaryNode = E('div', {});
+		this.treeNode = E('div', { class: 'changes-tree' }, E('p', {}, _('Loading...')));
+
+		return this.renderTabContent('', [
+			E('div', { class: 'd-flex align-center gap-xs mb-sm' }, [
+				E('label', {}, _('Show')),
+				this.filterSelect,
+				new podmanUI.Button(_('Refresh'), ui.createHandlerFn(this, 'load'), 'apply').render(),
+			]),
+			this.summaryNode,
+			this.treeNode,
+		]);
+	},
+
+	onTabActive() {
+		if (!this.loaded) this.load();
+	},
+
+	async load() {
+		this.loaded = true;
+
+		const [ result, df ] = await Promise.all([
+			this.container.getChanges().catch((err) => ({ error: err.message || String(err) })),
+			podmanRPC.system.df().catch(() => null),
+		]);
+
+		if (result?.error) {
+			dom.content(this.summaryNode, '');
+			dom.content(this.treeNode, this.warningContent(result.error));
+			return;
+		}
+
+		this.changes = Array.isArray(result?.data) ? result.data : [];
+		this.sizes = !!result?.sizes;
+		this.layerSize = (df?.Containers || []).find((entry) => entry.ContainerID === this.container.getID())?.RWSize ?? null;
+
+		this.renderSummary();
+		this.renderTree();
+	},
+
+	renderSummary() {
+		const counts = { 0: 0, 1: 0, 2: 0 };
+		this.changes.forEach((change) => counts[change.Kind]++);
+
+		const table = new podmanUI.TableList();
+		table.addRow(_('Paths'), Object.keys(KINDS)
+			.map((kind) => `${KINDS[kind].label}: ${counts[kind]}`)
+			.join(', '));
+
+		if (this.layerSize !== null) {
+			table.addRow(_('Writable Layer'), utils.format.bytes(this.layerSize));
+		}
+
+		dom.content(this.summaryNode, [
+			table.render(),
+			this.sizes ? '' : E('p', { class: 'mt-sm' }, _('File sizes are not available: the container storage is not readable from this device.')),
+		]);
+	},
+
+	renderTree() {
+		const kind = this.filterSelect.value;
+		const changes = kind === '' ? this.changes : this.changes.filter((change) => String(change.Kind) === kind);
+
+		if (changes.length === 0) {
+			dom.content(this.treeNode, E('p', { class: 'mt-sm' }, _('No changes.')));
+			return;
+		}
+
+		const root = buildTree(changes);
+		sumSizes(root);
+
+		dom.content(this.treeNode, E('ul', { class: 'mt-sm' }, this.renderChildren(root, 0)));
+	},
+
+	renderChildren(node, depth) {
+		return Array.from(node.children.values())
+			.sort((a, b) => (b.children.size > 0) - (a.children.size > 0) || a.name.localeCompare(b.name))
+			.map((child) => this.renderNode(child, depth));
+	},
+
+	renderNode(node, depth) {
+		const kind = KINDS[node.kind];
+		const label = [
+			E('span', { class: `change-kind ${kind?.cssClass || ''}`, title: kind?.label || '' }, kind?.letter || ''),
+			node.children.size > 0 ? `${node.name}/` : node.name,
+			node.total !== null ? E('span', { class: 'change-size' }, utils.format.bytes(node.total)) : '',
+		];
+
+		if (node.children.size === 0) {
+			return E('li', {}, label);
+		}
+
+		return E('li', {}, E('details', { open: depth < OPEN_DEPTH ? '' : null }, [
+			E('summary', {}, label),
+			E('ul', {}, this.renderChildren(node, depth + 1)),
+		]));
+	},
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+'require podman.ui as podmanUI';
+'require podman.view as podmanView';
+
+const SHELLS = [ 'sh', 'bash', 'ash' ];
+
+return podmanView.tabContent.extend({
+	tab: 'console',
+	container: null,
+	session: null,
+
+	render(container) {
+		this.container = container;
+
+		this.terminal = new podmanUI.Terminal({
+			onData: (data) => this.session?.send(data),
+			onResize: (rows, cols) => this.session?.resize(rows, cols),
+		});
+
+		window.addEventListener('resize', () => {
+			clearTimeout(this.resizeTimer);
+			this.resizeTimer = setTimeout(() => this.active && this.terminal.fit(), 200);
+		});
+		window.addEventListener('pagehide', () => this.disconnect());
+
+		return this.renderTabContent('', [
+			this.renderToolbar(),
+			this.terminal.render(),
+		]);
+	},
+
+	onTabActive() {
+		this.terminal.fit();
+		this.terminal.focus();
+	},
+
+	onTabInactive() {
+		this.disconnect();
+	},
+
+	renderToolbar() {
+		this.shellSelect = E('select', { class: 'cbi-input-select' },
+			SHELLS.map((shell) => E('option', { value: shell }, shell)));
+
+		this.connectButton = new podmanUI.Button(_('Connect'), () => this.connect(), 'apply').render();
+		this.disconnectButton = new podmanUI.Button(_('Disconnect'), () => this.disconnect(), 'negative').render();
+		this.disconnectButton.disabled = true;
+
+		this.statusNode = E('span', { class: 'ml-xs' }, '');
+
+		return E('div', { class: 'd-flex align-center gap-xs mb-sm' }, [
+			E('label', {}, _('Shell')),
+			this.shellSelect,
+			this.connectButton,
+			this.disconnectButton,
+			this.statusNode,
+		]);
+	},
+
+	connect() {
+		if (this.session) return;
+
+		if (!this.container.isRunning()) {
+			podmanUI.alert(_('Container is not running'), 'warning', true);
+			return;
+		}
+
+		this.terminal.reset();
+		this.terminal.fit();
+
+		this.session = this.container.openTerminal(this.shellSelect.value, {
+			rows: this.terminal.rows,
+			cols: this.terminal.cols,
+		}, {
+			onOutput: (text) => this.terminal.write(text),
+			onExit: (code) => {
+				this.terminal.write('\r\n' + (code >= 0
+					? _('Session ended with exit code %d').format(code)
+					: _('Session ended')) + '\r\n');
+				this.setConnected(false);
+			},
+			onError: (message) => {
+				this.terminal.write('\r\n' + message + '\r\n');
+				this.setConnected(false);
+			},
+		});
+
+		this.setConnected(true);
+		this.terminal.focus();
+	},
+
+	disconnect() {
+		if (!this.session) return;
+
+		this.session.close();
+		this.setConnected(false);
+	},
+
+	setConnected(connected) {
+		if (!connected) this.session = null;
+
+		this.shellSelect.disabled = connected;
+		this.connectButton.disabled = connected;
+		this.disconnectButton.disabled = !connected;
+		this.statusNode.textContent = connected
+			? _('Connected to %s').format(this.shellSelect.value)
+			: '';
+	},
+});
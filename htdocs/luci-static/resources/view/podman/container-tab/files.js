@@ -0,0 +1,225 @@
+'use strict';
+
+'require dom';
+'require ui';
+
+'require podman.ui as podmanUI';
+'require podman.utils as utils';
+'require podman.view as podmanView';
+'require view.podman.modal.fileEditor as FileEditorModal';
+
+// Same cap as the controller applies to raw reads
+const VIEW_MAX_SIZE = 262144;
+
+const TYPE_ORDER = { dir: 0, link: 1 };
+
+/**
+ * @param {string} dir
+ * @param {string} name
+ * @returns {string}
+ */
+function joinPath(dir, name) {
+	return `${dir.replace(/\/+$/, '')}/${name}`;
+}
+
+/**
+ * Resolve . and .. segments of an absolute path.
+ * @param {string} path
+ * @returns {string}
+ */
+function normalizePath(path) {
+	const parts = [];
+
+	path.split('/').forEach((part) => {
+		if (part === '..') parts.pop();
+		else if (part && part !== '.') parts.push(part);
+	});
+
+	return '/' + parts.join('/');
+}
+
+/**
+ * @param {string} type - dir, file, link, ...
+ * @param {number} mode - Permission bits
+ * @returns {string} ls style mode, e.g. drwxr-xr-x
+ */
+function formatMode(type, mode) {
+	const chars = 'rwxrwxrwx';
+	let out = type === 'dir' ? 'd' : type === 'link' ? 'l' : '-';
+
+	for (let i = 0; i < 9; i++)
+		out += (mode & (1 << (8 - i))) ? chars[i] : '-';
+
+	return out;
+}
+
+return podmanView.tabContent.extend({
+	tab: 'files',
+	container: null,
+	path: '/',
+	loaded: false,
+
+	render(container) {
+		this.container = container;
+		this.path = normalizePath(container.getWorkingDir() || '/');
+
+		this.pathInput = E('input', {
+			type: 'text',
+			class: 'cbi-input-text',
+			value: this.path,
+			spellcheck: 'false',
+			keydown: (ev) => {
+				if (ev.key === 'Enter') this.load(this.pathInput.value.trim() || '/');
+			},
+		});
+		this.fileInput = E('input', {
+			type: 'file',
+			class: 'hidden',
+			change: () => this.handleUpload(),
+		});
+		this.listNode = E('div', {}, E('p', {}, _('Loading...')));
+
+		return this.renderTabContent('', [
+			E('div', { class: 'd-flex align-center gap-xs mb-sm' }, [
+				new podmanUI.Button(_('Up'), () => this.load(normalizePath(this.path + '/..')), 'neutral').render(),
+				this.pathInput,
+				new podmanUI.Button(_('Open'), () => this.load(this.pathInput.value.trim() || '/'), 'apply').render(),
+				new podmanUI.Button(_('Upload file'), () => this.fileInput.click(), 'add').render(),
+				new podmanUI.Button(_('Download folder'), () => { window.location.href = this.container.getFilesDownloadUrl(this.path); }, 'neutral',
+					_('Download the current folder as tar archive')).render(),
+			]),
+			this.fileInput,
+			this.listNode,
+		]);
+	},
+
+	onTabActive() {
+		if (!this.loaded) this.load(this.path);
+	},
+
+	/**
+	 * @param {string} path - Folder to show
+	 */
+	async load(path) {
+		path = normalizePath(path);
+		this.loaded = true;
+		dom.content(this.listNode, E('p', {}, _('Loading...')));
+
+		let listing;
+		try {
+			listing = await this.container.listFiles(path);
+		} catch (err) {
+			this.pathInput.value = path;
+			dom.content(this.listNode, this.warningContent(err.message || String(err)));
+			return;
+		}
+
+		// A file was entered: show its folder and open the file
+		if (listing.type !== 'dir') {
+			const slash = path.lastIndexOf('/');
+			const dir = path.substring(0, slash) || '/';
+			if (dir !== path) {
+				await this.load(dir);
+				if (listing.type === 'file') this.handleView({ name: path.substring(slash + 1), size: listing.size, mode: listing.mode });
+			}
+			return;
+		}
+
+		this.path = path;
+		this.pathInput.value = path;
+		this.renderListing(listing);
+	},
+
+	renderListing(listing) {
+		const entries = listing.entries.slice().sort((a, b) =>
+			(TYPE_ORDER[a.type] ?? 2) - (TYPE_ORDER[b.type] ?? 2) || a.name.localeCompare(b.name));
+
+		const table = new podmanUI.Table();
+		table
+			.addHeader(_('Name'))
+			.addHeader(_('Size'))
+			.addHeader(_('Mode'))
+			.addHeader(_('Modified'))
+			.addHeader(_('Actions'));
+
+		entries.forEach((entry) => {
+			const path = joinPath(this.path, entry.name);
+			let name = entry.name;
+
+			if (entry.type === 'dir') {
+				name = E('a', { href: '#', click: (ev) => { ev.preventDefault(); this.load(path); } }, entry.name + '/');
+			} else if (entry.type === 'link') {
+				const target = entry.link?.startsWith('/') ? entry.link : joinPath(this.path, entry.link || '');
+				name = E('span', {}, [
+					E('a', { href: '#', click: (ev) => { ev.preventDefault(); this.load(target); } }, entry.name),
+					` → ${entry.link}`,
+				]);
+			}
+
+			const actions = [
+				new podmanUI.Button(_('Download'), this.container.getFilesDownloadUrl(path), 'neutral',
+					_('Download as tar archive')).render(),
+			];
+			if (entry.type === 'file' && entry.size <= VIEW_MAX_SIZE) {
+				actions.unshift(new podmanUI.Button(_('View'), () => this.handleView(entry), 'edit').render());
+			}
+
+			table.addRow([
+				{ inner: name },
+				{ inner: entry.type === 'dir' ? '-' : utils.format.bytes(entry.size) },
+				{ inner: E('code', {}, formatMode(entry.type, entry.mode)) },
+				{ inner: entry.mtime ? utils.format.date(entry.mtime) : '-' },
+				{ inner: E('div', { class: 'd-flex gap-xs' }, actions) },
+			]);
+		});
+
+		dom.content(this.listNode, [
+			listing.truncated ? this.warningContent(_('This folder is too large to list completely. Some entries are missing; open a sub folder or download the folder instead.')) : '',
+			entries.length > 0 ? table.render() : E('p', {}, _('This folder is empty.')),
+		]);
+	},
+
+	async handleView(entry) {
+		const path = joinPath(this.path, entry.name);
+		let bytes;
+
+		try {
+			bytes = await this.container.readFile(path);
+		} catch (err) {
+			podmanUI.alert(err.message || String(err), 'error');
+			return;
+		}
+
+		let text = null;
+		try {
+			text = bytes.includes(0) ? null : new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+		} catch (e) { }
+
+		if (text === null) {
+			podmanUI.alert(_('%s is not a text file. Download it instead.').format(entry.name), 'warning', true);
+			return;
+		}
+
+		FileEditorModal.setFile(this.container, this.path, entry, text, () => this.load(this.path)).render();
+	},
+
+	async handleUpload() {
+		const file = this.fileInput.files[0];
+		if (!file) return;
+
+		this.fileInput.value = '';
+
+		ui.showModal(_('Uploading file...'), [ E('p', { class: 'spinning' }, file.name) ]);
+		try {
+			await this.container.uploadFile(this.path, file.name, file);
+		} catch (err) {
+			ui.hideModal();
+			podmanUI.alert(err.message || String(err), 'error');
+			return;
+		}
+
+		ui.hideModal();
+		podmanUI.alert(_('%s uploaded to %s').format(file.name, this.path), 'success', true);
+		this.load(this.path);
+	},
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+'require dom';
+'require ui';
+
+'require podman.ui as podmanUI';
+'require podman.utils as utils';
+'require podman.view as podmanView';
+'require podman.model.Container as Container';
+'require podman.form.health as PodmanFormHealth';
+
+// Health log entries shown, newest first (Podman keeps 5 unless health_max_log_count says otherwise)
+const HEALTH_LOG_ENTRIES = 10;
+
+return podmanView.tabContent.extend({
+	tab: 'health',
+	container: null,
+
+	async render(container) {
+		this.container = container;
+		this.statusNode = E('div', {});
+		this.renderStatus();
+
+		const healthForm = new PodmanFormHealth.init();
+		healthForm.onUpdated = () => this.handleRefresh();
+
+		return this.renderTabContent('', [
+			this.statusNode,
+			E('h4', { class: 'mt-sm' }, _('Health Check Settings')),
+			await healthForm.render(container),
+		]);
+	},
+
+	renderStatus() {
+		if (!this.container.getHealthcheck()) {
+			dom.content(this.statusNode, this.warningContent(_('No health check configured. Set a command below to add one.')));
+			return;
+		}
+
+		const health = this.container.getHealth() || {};
+		const log = (health.Log || []).slice(-HEALTH_LOG_ENTRIES).reverse();
+
+		const statusTable = new podmanUI.TableList();
+		statusTable
+			.addRow(_('Status'), this.container.getHealthBadge() || '-')
+			.addRow(_('Failing Streak'), String(health.FailingStreak ?? 0))
+			.addRow(_('Command'), E('code', {}, this.container.getHealthcheckCmdString()));
+
+		const logTable = new podmanUI.Table();
+		logTable
+			.addHeader(_('Started'))
+			.addHeader(_('Duration'))
+			.addHeader(_('Exit Code'))
+			.addHeader(_('Output'));
+
+		log.forEach((entry) => {
+			const start = new Date(entry.Start);
+			const duration = (new Date(entry.End) - start) * 1e6;
+
+			logTable.addRow([
+				{ inner: utils.format.date(entry.Start) },
+				{ inner: duration >= 0 ? utils.format.duration(duration) : '-' },
+				{ inner: E('span', { class: entry.ExitCode === 0 ? 'text-success' : 'text-error' }, String(entry.ExitCode)) },
+				{ inner: E('div', { class: 'text-pre' }, (entry.Output || '').trim() || '-') },
+			]);
+		});
+
+		dom.content(this.statusNode, [
+			statusTable.render(),
+			E('div', { class: 'd-flex align-center gap-xs mt-sm mb-xs' }, [
+				E('h5', {}, _('Recent Checks')),
+				new podmanUI.Button(_('Run healthcheck now'), ui.createHandlerFn(this, 'handleRun'), 'apply').render(),
+			]),
+			log.length > 0 ? logTable.render() : E('p', {}, _('No checks have run yet.')),
+		]);
+	},
+
+	async handleRun() {
+		if (!this.container.isRunning()) {
+			podmanUI.alert(_('Container is not running'), 'warning', true);
+			return;
+		}
+
+		try {
+			const result = await this.container.runHealthcheck();
+			if (result?.error) throw new Error(result.error);
+		} catch (err) {
+			this.error(err.message || String(err));
+			return;
+		}
+
+		await this.handleRefresh();
+	},
+
+	async handleRefresh() {
+		this.container = Container.getSingleton(await this.container.inspect());
+		this.renderStatus();
+	},
+});
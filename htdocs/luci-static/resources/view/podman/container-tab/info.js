@@ -1,6 +1,7 @@
 'use strict';
 
 'require ui';
+'require uci';
 
 'require podman.ui as podmanUI';
 'require podman.form as podmanForm';
@@ -12,21 +13,51 @@
 
 const CENSORED_VALUE = '••••••••';
 
+/**
+ * @param {string} rule - Device cgroup rule like "c 188:* rwm"
+ * @returns {?{type: string, major: string, minor: string, access: string}}
+ */
+function parseCgroupRule(rule) {
+	const match = String(rule).trim().match(/^([abc])\s+(\d+|\*):(\d+|\*)(?:\s+([rwm]+))?$/);
+	if (!match) return null;
+
+	return { type: match[1], major: match[2], minor: match[3], access: match[4] || 'rwm' };
+}
+
+/**
+ * @param {{type: string, major: string, minor: string}} rule
+ * @param {{major: number, minor: number}} device - Host character device
+ * @returns {boolean}
+ */
+function ruleCoversDevice(rule, device) {
+	return (rule.type === 'a' || rule.type === 'c')
+		&& (rule.major === '*' || +rule.major === device.major)
+		&& (rule.minor === '*' || +rule.minor === device.minor);
+}
+
 return podmanView.tabContent.extend({
 	tab: 'info',
 
 	container: null,
 	initScriptStatus: '',
+	timezones: {},
+	hostZone: '',
 
 	async render(container) {
 		this.container = container;
 
+		const [timezones] = await Promise.all([ podmanRPC.host.timezones(), uci.load('system') ]);
+		this.timezones = timezones || {};
+		this.hostZone = uci.get_first('system', 'system', 'zonename') || '';
+
 		const sections = await Promise.all([
 			this.basicSection(),
 			this.configSection(),
 			this.networkSection(),
 			this.envSection(),
+			this.secretSection(),
 			this.mountSection(),
+			this.deviceSection(),
 		]);
 
 		this.updateInitScriptIcon(sections[0]);
@@ -48,9 +79,25 @@ return podmanView.tabContent.extend({
 			'unless-stopped': _('Unless Stopped')
 		};
 		const currentPolicy = this.container.getRestartPolicyName();
-		const editableRestartField = new ui.Select(currentPolicy, policies, { name: 'container-restart' }).render();
-		const editableRestart = new podmanForm.EditableField('container-restart', editableRestartField);
-		editableRestart.onSubmit = (value) => this.handleUpdateRestartPolicy(value);
+		const restartRetries = this.container.getRestartRetries();
+		const restartWidget = new ui.Select(currentPolicy, policies, { name: 'container-restart' });
+		const retriesWidget = new ui.Textfield(restartRetries ? String(restartRetries) : '', {
+			name: 'container-restart-retries',
+			placeholder: _('Retries (0 = unlimited)'),
+			datatype: 'range(0,65535)'
+		});
+		const restartNode = restartWidget.render();
+		const retriesNode = E('div', { class: currentPolicy === 'on-failure' ? '' : 'd-none' }, retriesWidget.render());
+		restartNode.addEventListener('widget-change', () => {
+			retriesNode.classList.toggle('d-none', restartWidget.getValue() !== 'on-failure');
+		});
+		const editableRestart = new podmanForm.EditableField('container-restart',
+			E('div', { class: 'd-flex align-center gap-xs' }, [ restartNode, retriesNode ]));
+		editableRestart.onSubmit = (value) => {
+			retriesWidget.triggerValidation();
+			if (value === 'on-failure' && !retriesWidget.isValid()) return;
+			this.handleUpdateRestartPolicy(value, retriesWidget.getValue());
+		};
 
 		basicTable
 			.addRow(_('Name'), editableName.render())
@@ -58,6 +105,7 @@ return podmanView.tabContent.extend({
 			.addRow(_('Image'), new podmanUI.Tooltip(this.container.getImageName(), this.container.Image, { class: 'tooltip' }).render())
 			.addRow(_('Tag'), this.container.getImageTag())
 			.addRow(_('Status'), this.container.getStateBadge())
+			.addRow(_('Health'), this.container.getHealthBadge() || '-')
 			.addRow(_('Created'), this.container.getCreated(true))
 			.addRow(_('Started'), this.container.getStartedAt(true))
 			.addRow(_('Restart Policy'), editableRestart.render())
@@ -109,7 +157,17 @@ return podmanView.tabContent.extend({
 			.addRow(_('Working Directory'), this.container.getWorkingDir())
 			.addRow(_('User'), this.container.getUser())
 			.addRow(_('Hostname'), this.container.getHostname())
+			.addRow(_('Timezone'), this.timezoneField())
+			.addRow(_('Health Check'), this.healthcheckSummary())
+			.addRow(_('Logging'), this.logSummary())
 			.addRow(_('Privileged'), this.container.getPrivileged() ? _('Yes') : _('No'))
+			.addRow(_('Capabilities'), this.capabilitiesSummary())
+			.addRow(_('Read-only Root Filesystem'), this.container.getHostConfig().ReadonlyRootfs ? _('Yes') : _('No'))
+			.addRow(_('Security Options'), this.container.getSecurityOptions().join(', ') || '-')
+			.addRow(_('Ulimits'), this.container.getUlimits()
+				.map((u) => `${u.Name.replace(/^RLIMIT_/, '').toLowerCase()}=${u.Soft}:${u.Hard}`).join(', ') || '-')
+			.addRow(_('Sysctls'), Object.entries(this.container.getSysctls())
+				.map(([key, value]) => `${key}=${value}`).join(', ') || '-')
 			.addRow(_('TTY'), this.container.getTty() ? _('Yes') : _('No'))
 			.addRow(_('Interactive'), this.container.getInteractive() ? _('Yes') : _('No'))
 		;
@@ -120,6 +178,74 @@ return podmanView.tabContent.extend({
 		]);
 	},
 
+	timezoneField() {
+		const zones = { '': _('UTC (container default)') };
+		Object.keys(this.timezones).sort().forEach((zone) => zones[zone] = zone);
+
+		const configured = this.container.getConfig().Timezone || '';
+		const select = new ui.Select(configured, zones, { name: 'container-timezone' }).render();
+		const editable = new podmanForm.EditableField('container-timezone', select);
+		editable.onSubmit = (value) => this.handleUpdateTimezone(value);
+
+		const effective = this.container.getTimezone();
+
+		return E('div', {}, [
+			editable.render(),
+			effective && effective !== configured
+				? E('div', { class: 'cbi-value-description' }, _('Effective: %s').format(effective))
+				: '',
+		]);
+	},
+
+	logSummary() {
+		const logConfig = this.container.getLogConfig();
+		if (!logConfig.Type) {
+			return '-';
+		}
+
+		const details = [];
+		const maxSize = this.container.getLogMaxSize();
+		details.push(maxSize > 0 ? _('Max size: %s').format(utils.format.bytes(maxSize)) : _('No size limit'));
+		if (logConfig.Tag) details.push(_('Tag: %s').format(logConfig.Tag));
+		if (logConfig.Path) details.push(_('Path: %s').format(logConfig.Path));
+
+		return `${logConfig.Type} (${details.join(', ')})`;
+	},
+
+	capabilitiesSummary() {
+		const { CapAdd, CapDrop } = this.container.getHostConfig();
+		const parts = [];
+		if (CapAdd && CapAdd.length) parts.push(_('Added: %s').format(CapAdd.join(', ')));
+		if (CapDrop && CapDrop.length) parts.push(_('Dropped: %s').format(CapDrop.join(', ')));
+
+		return parts.length ? E('div', {}, parts.map((part) => E('div', {}, part))) : _('Default');
+	},
+
+	healthcheckSummary() {
+		const healthcheck = this.container.getHealthcheck();
+		if (!healthcheck) {
+			return _('None');
+		}
+
+		const details = [
+			_('Interval: %s').format(utils.format.duration(healthcheck.Interval || 30000000000)),
+			_('Timeout: %s').format(utils.format.duration(healthcheck.Timeout || 30000000000)),
+			_('Retries: %d').format(healthcheck.Retries || 3),
+		];
+		if (healthcheck.StartPeriod) {
+			details.push(_('Start period: %s').format(utils.format.duration(healthcheck.StartPeriod)));
+		}
+		const onFailure = this.container.getConfig().HealthcheckOnFailureAction;
+		if (onFailure && onFailure !== 'none') {
+			details.push(_('On failure: %s').format(onFailure));
+		}
+
+		return E('div', {}, [
+			E('code', {}, this.container.getHealthcheckCmdString()),
+			E('div', {}, details.join(', ')),
+		]);
+	},
+
 	async networkSection () {
 		const table = new podmanUI.TableList();
 		const { NetworkMode, Links } = this.container.getHostConfig();
@@ -151,7 +277,10 @@ return podmanView.tabContent.extend({
 
 				const ipContent = net.GlobalIPv6Address
 					? [net.IPAddress || '-', E('br'), net.GlobalIPv6Address]
-					: net.IPAddress || '-';
+					: [net.IPAddress || '-'];
+				const aliases = (net.Aliases || []).filter((alias) => alias !== this.container.getName()
+					&& !this.container.getID().startsWith(alias));
+				if (aliases.length > 0) ipContent.push(E('br'), _('Aliases: %s').format(aliases.join(', ')));
 
 				table.addRow(
 					new podmanUI.Tooltip(E('span', { class: 'tooltip' }, netName), tooltip).render(),
@@ -174,24 +303,39 @@ return podmanView.tabContent.extend({
 		const networkOptions = Object.fromEntries(podmanNetworks.map(item => [item.name, item.name]));
 
 		const networkSelectWidget = new ui.Select([''], networkOptions, { name: 'container-connect-network', optional: false });
-		const ipTextWidget = new ui.Textfield('', { name: 'container-connect-ip', placeholder: '192.168.1.100', datatype: 'ip4addr' });
+		const ip4Widget = new ui.Textfield('', { name: 'container-connect-ip', placeholder: _('IPv4 (optional)'), datatype: 'ip4addr("nomask")' });
+		const ip6Widget = new ui.Textfield('', { name: 'container-connect-ip6', placeholder: _('IPv6 (optional)'), datatype: 'ip6addr("nomask")' });
+		const macWidget = new ui.Textfield('', { name: 'container-connect-mac', placeholder: _('MAC (optional)'), datatype: 'macaddr' });
+		const aliasesWidget = new ui.Textfield('', { name: 'container-connect-aliases', placeholder: _('DNS aliases, comma-separated') });
+		const widgets = [ ip4Widget, ip6Widget, macWidget, aliasesWidget ];
 
 		table.addRow(_('Connect to'), [
-			E('div', { class: 'd-flex align-center container-connect' }, [
+			E('div', { class: 'd-flex flex-wrap align-center gap-xs container-connect' }, [
 				networkSelectWidget.render(),
-				ipTextWidget.render(),
+				...widgets.map((widget) => widget.render()),
 				new podmanUI.Button(_('Connect'), () => {
 					const selectedNetwork = networkSelectWidget.getValue();
-					const selectedIp = ipTextWidget.getValue();
 
 					networkSelectWidget.triggerValidation();
-					ipTextWidget.triggerValidation();
+					widgets.forEach((widget) => widget.triggerValidation());
+
+					if (!selectedNetwork || widgets.some((widget) => !widget.isValid())) {
+						return;
+					}
 
-					if (!selectedNetwork || !ipTextWidget.isValid()) {
+					const network = podmanNetworks.find((net) => net.getName() === selectedNetwork);
+					const staticIps = [ ip4Widget.getValue(), ip6Widget.getValue() ].filter((ip) => ip);
+					const ipError = staticIps.map((ip) => network?.checkStaticIp(ip)).find((err) => err);
+					if (ipError) {
+						this.error(ipError);
 						return;
 					}
 
-					this.handleNetworkConnect(selectedNetwork, selectedIp);
+					this.handleNetworkConnect(selectedNetwork, {
+						staticIps,
+						mac: macWidget.getValue(),
+						aliases: aliasesWidget.getValue().split(',').map((alias) => alias.trim()).filter((alias) => alias),
+					});
 				}).render(),
 			]),
 		]);
@@ -242,6 +386,39 @@ return podmanView.tabContent.extend({
 		]);
 	},
 
+	secretSection() {
+		const table = new podmanUI.Table();
+		table
+			.addHeader(_('Secret'), { style: 'width: 30%;' })
+			.addHeader(_('Type'), { style: 'width: 15%;' })
+			.addHeader(_('Target'), { style: 'width: 35%;' })
+			.addHeader(_('Options'), { style: 'width: 20%;' })
+		;
+
+		this.container.getSecrets().forEach((secret) => {
+			const isEnv = secret.type === 'env';
+			const target = isEnv
+				? (secret.target || secret.source)
+				: (secret.target.startsWith('/') ? secret.target : `/run/secrets/${secret.target || secret.source}`);
+			const options = [];
+			if (secret.uid) options.push(`uid=${secret.uid}`);
+			if (secret.gid) options.push(`gid=${secret.gid}`);
+			if (secret.mode) options.push(`mode=${secret.mode}`);
+
+			table.addRow([
+				{ inner: secret.source },
+				{ inner: isEnv ? _('Environment') : _('File') },
+				{ inner: target },
+				{ inner: options.join(', ') || '-' },
+			]);
+		});
+
+		return E('div', {}, [
+			E('h4', {}, _('Secrets')),
+			table.render(),
+		]);
+	},
+
 	mountSection() {
 		const table = new podmanUI.Table();
 		table
@@ -268,12 +445,90 @@ return podmanView.tabContent.extend({
 			]);
 		})
 
+		Object.entries(this.container.getTmpfs()).forEach(([destination, options]) => {
+			table.addRow([
+				{ inner: 'tmpfs' },
+				{ inner: '-' },
+				{ inner: truncatedField(destination) },
+				{ inner: truncatedField(options) },
+			]);
+		});
+
 		return E('div', {}, [
 			E('h4', {}, _('Mounts')),
 			table.render(),
 		]);
 	},
 
+	async deviceSection() {
+		const hostDevices = await podmanRPC.host.devices();
+		const hostDeviceByPath = Object.fromEntries(hostDevices.map((device) => [device.path, device]));
+		const rules = this.container.getDeviceCgroupRules().map(parseCgroupRule).filter((rule) => rule);
+		const isAllowed = (device) => rules.some((rule) => ruleCoversDevice(rule, device));
+
+		const table = new podmanUI.Table();
+		table
+			.addHeader(_('Host Path'), { style: 'width: 35%;' })
+			.addHeader(_('Container Path'), { style: 'width: 35%;' })
+			.addHeader(_('Permissions'), { style: 'width: 10%;' })
+			.addHeader(_('Access'), { style: 'width: 10%;' })
+			.addHeader('', { style: 'width: 10%;' })
+		;
+
+		const listed = new Set();
+		const addRow = (path, containerPath, permissions, hostDevice) => {
+			const allowed = hostDevice ? isAllowed(hostDevice) : null;
+
+			table.addRow([
+				{ inner: path || '-' },
+				{ inner: containerPath || '-' },
+				{ inner: permissions || '-' },
+				{ inner: allowed === null ? '-'
+					: E('span', { class: allowed ? 'text-success' : 'text-error' }, allowed ? _('Allowed') : _('Revoked')) },
+				{ inner: hostDevice ? new podmanUI.Button(allowed ? _('Revoke') : _('Allow'),
+					() => this.handleDeviceAccess(hostDevice, !allowed), allowed ? 'negative' : 'apply').render() : '' },
+			]);
+		};
+
+		this.container.getDevices().forEach((device) => {
+			const hostDevice = hostDeviceByPath[device.PathOnHost];
+			if (hostDevice) listed.add(hostDevice.path);
+
+			addRow(device.PathOnHost, device.PathInContainer, device.CgroupPermissions, hostDevice);
+		});
+
+		// Access granted at runtime to host devices that were not mapped at creation
+		hostDevices.forEach((hostDevice) => {
+			if (listed.has(hostDevice.path)) return;
+
+			const rule = rules.find((rule) => rule.major !== '*' && rule.minor !== '*' && ruleCoversDevice(rule, hostDevice));
+			if (!rule) return;
+
+			listed.add(hostDevice.path);
+			addRow(hostDevice.path, '', rule.access, hostDevice);
+		});
+
+		const deviceOptions = Object.fromEntries(hostDevices
+			.filter((device) => !listed.has(device.path))
+			.map((device) => [device.path, device.path]));
+		const deviceSelectWidget = new ui.Select([''], deviceOptions, { name: 'container-device', optional: false });
+
+		return E('div', { class: 'devices' }, [
+			E('h4', {}, _('Devices')),
+			table.render(),
+			E('div', { class: 'd-flex align-center gap-xs mt-sm' }, [
+				deviceSelectWidget.render(),
+				new podmanUI.Button(_('Allow access'), () => {
+					const hostDevice = hostDeviceByPath[deviceSelectWidget.getValue()];
+					if (hostDevice) this.handleDeviceAccess(hostDevice, true);
+				}).render(),
+			]),
+			E('p', { class: 'cbi-value-description' }, _(
+				'Runtime changes only grant or revoke cgroup access to a device. A device node that was not mapped at creation time must already exist inside the container (e.g. via a mounted /dev directory); otherwise re-create the container with the device (Edit configuration).'
+			)),
+		]);
+	},
+
 	async _refreshContainer() {
 		const inspectData = await this.container.inspect();
 		this.container = Container.getSingleton(inspectData);
@@ -304,11 +559,11 @@ return podmanView.tabContent.extend({
 		this.success(_('Name updated successfully'));
 	},
 
-	async handleUpdateRestartPolicy(policy) {
+	async handleUpdateRestartPolicy(policy, retries) {
 		this.loading(_('Update restart policy'));
 
 		const updateData = { RestartPolicy: policy };
-		if (policy === 'on-failure') updateData.RestartRetries = 5;
+		if (policy === 'on-failure') updateData.RestartRetries = parseInt(retries, 10) || 0;
 
 		await this.container.update(updateData);
 		await this._refreshContainer();
@@ -325,11 +580,33 @@ return podmanView.tabContent.extend({
 		this.success(_('Restart policy updated successfully'));
 	},
 
-	async handleNetworkConnect(networkName, ip) {
+	handleUpdateTimezone(zone) {
+		if (zone === (this.container.getConfig().Timezone || '')) {
+			return;
+		}
+
+		this.confirm(_('Changing the timezone re-creates the container. Continue?'), async () => {
+			this.loading(_('Re-creating container'));
+
+			try {
+				const created = await this.container.updateTimezone(zone, {
+					tzstring: this.timezones[zone]?.tzstring,
+					hostZone: this.hostZone,
+				});
+				window.location.href = Container.getSingleton({ Id: created.Id }).getDetailUrl();
+			} catch (e) {
+				this.error(e.message || String(e));
+			}
+		});
+	},
+
+	async handleNetworkConnect(networkName, { staticIps, mac, aliases } = {}) {
 		this.loading(_('Connecting container to network'));
 
 		const params = {};
-		if (ip) params.static_ips = [ip];
+		if (staticIps && staticIps.length > 0) params.static_ips = staticIps;
+		if (mac) params.static_mac = mac;
+		if (aliases && aliases.length > 0) params.aliases = aliases;
 
 		await this.container.connect(networkName, params);
 		await this._refreshContainer();
@@ -346,6 +623,17 @@ return podmanView.tabContent.extend({
 		await this._refreshNetworkSection();
 	},
 
+	async handleDeviceAccess(device, allow) {
+		this.loading(allow ? _('Allowing device access') : _('Revoking device access'));
+
+		await this.container.updateDeviceAccess(device, allow);
+		await this._refreshContainer();
+		this.success(allow
+			? _('Access to %s allowed').format(device.path)
+			: _('Access to %s revoked').format(device.path));
+		document.querySelector('.devices').replaceWith(await this.deviceSection());
+	},
+
 	async handleGenerateInitScript() {
 		this.loading(_('Creating auto-start configuration for %s').format(this.container.getName()));
 
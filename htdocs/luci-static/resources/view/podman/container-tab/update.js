@@ -0,0 +1,43 @@
+'use strict';
+
+'require ui';
+
+'require podman.constants as c';
+'require podman.ui as podmanUI';
+'require podman.view as podmanView';
+
+/**
+ * Raw JSON update: the object is sent as is to the container update endpoint.
+ */
+return podmanView.tabContent.extend({
+	tab: 'update',
+	container: null,
+
+	render(container) {
+		this.container = container;
+		this.editor = new podmanUI.JsonEditor({}, c.CONTAINER_UPDATE_KEYS, { strict: true, rows: 14 });
+
+		return this.renderTabContent('', [
+			E('p', {}, _('Only these keys are accepted:')),
+			E('p', { class: 'mb-xs' }, E('code', {}, Object.keys(c.CONTAINER_UPDATE_KEYS).join(', '))),
+			this.editor.render(),
+			E('div', { class: 'mt-sm' },
+				new podmanUI.Button(_('Send update'), ui.createHandlerFn(this, 'handleUpdate'), 'save').render()),
+		]);
+	},
+
+	async handleUpdate() {
+		const data = this.editor.getValue();
+		if (!data || Object.keys(data).length === 0) return;
+
+		this.loading(_('Updating container'));
+		try {
+			await this.container.update(data);
+		} catch (err) {
+			this.error(err.message || String(err));
+			return;
+		}
+
+		this.success(_('Container updated successfully'));
+	},
+});
@@ -7,11 +7,21 @@
 'require podman.view as podmanView';
 'require podman.model.Container as Container';
 'require podman.form.resource as PodmanFormResource';
+'require podman.form.container as PodmanFormContainer';
+
+'require view.podman.modal.recreate as RecreateModal';
+'require view.podman.modal.runCommand as RunCommandModal';
+'require view.podman.modal.commit as CommitModal';
 
 'require view.podman.container-tab.info as ContainerInfoTab';
 'require view.podman.container-tab.stats as ContainerStatsTab';
 'require view.podman.container-tab.processes as ContainerProcessesTab';
 'require view.podman.container-tab.logs as ContainerLogsTab';
+'require view.podman.container-tab.update as ContainerUpdateTab';
+'require view.podman.container-tab.health as ContainerHealthTab';
+'require view.podman.container-tab.console as ContainerConsoleTab';
+'require view.podman.container-tab.files as ContainerFilesTab';
+'require view.podman.container-tab.changes as ContainerChangesTab';
 
 /**
  * Container detail view with tabbed interface
@@ -54,9 +64,12 @@ return podmanView.base.extend({
 			.addTab('stats', _('Stats'))
 			.addTab('ps', _('Processes'))
 			.addTab('logs', _('Logs'))
-			// .addTab('health', _('Health'))
+			.addTab('health', _('Health'))
 			.addTab('inspect', _('Inspect'))
-			// .addTab('console', _('Console'))
+			.addTab('update', _('Update (JSON)'))
+			.addTab('console', _('Console'))
+			.addTab('files', _('Files'))
+			.addTab('changes', _('Changes'))
 		;
 
 		requestAnimationFrame(() => {
@@ -65,7 +78,12 @@ return podmanView.base.extend({
 			this.renderStatsTab();
 			this.renderProcessesTab();
 			this.renderLogsTab();
+			this.renderHealthTab();
 			this.renderInspectTab();
+			this.renderUpdateTab();
+			this.renderConsoleTab();
+			this.renderFilesTab();
+			this.renderChangesTab();
 		});
 
 		window.addEventListener('pagehide', () => this.stopStreams(), { once: true });
@@ -77,6 +95,7 @@ return podmanView.base.extend({
 		this.getTabInstance('stats')?.onTabInactive();
 		this.getTabInstance('ps')?.onTabInactive();
 		this.getTabInstance('logs')?.onTabInactive();
+		this.getTabInstance('console')?.onTabInactive();
 	},
 
 	redirectToList() {
@@ -116,6 +135,23 @@ return podmanView.base.extend({
 					click: ui.createHandlerFn(this, 'handlePause'),
 					type: state === 'paused' ? 'active' : '',
 				}).render(),
+				new podmanUI.ButtonNew(_('Run command'), {
+					click: () => this.handleRunCommand(),
+					type: 'action',
+				}).render(),
+				new podmanUI.ButtonNew(_('Commit'), {
+					click: () => CommitModal.setContainer(this.container, (spec) => this.handleApplyEdit(spec)).render(),
+					type: 'action',
+					tooltip: _('Save the container as a new image'),
+				}).render(),
+				new podmanUI.ButtonNew(_('Edit configuration'), {
+					click: ui.createHandlerFn(this, 'handleEdit'),
+					type: 'edit',
+				}).render(),
+				new podmanUI.ButtonNew(_('Clone'), {
+					click: ui.createHandlerFn(this, 'handleClone'),
+					type: 'add',
+				}).render(),
 				new podmanUI.ButtonNew(_('Delete'), {
 					click: ui.createHandlerFn(this, 'handleRemove'),
 					type: 'negative',
@@ -164,10 +200,35 @@ return podmanView.base.extend({
 		this.renderTab('logs', content);
 	},
 
+	async renderHealthTab() {
+		const content = await ContainerHealthTab.render(this.container);
+		this.renderTab('health', content, _('Health check state, recent results and settings.'));
+	},
+
 	renderInspectTab() {
 		this.renderTab('inspect', new podmanUI.JsonArea(this.data).render());
 	},
 
+	renderConsoleTab() {
+		const content = ContainerConsoleTab.render(this.container);
+		this.renderTab('console', content, _('Interactive shell inside the running container. The session ends when you leave this tab.'));
+	},
+
+	renderFilesTab() {
+		const content = ContainerFilesTab.render(this.container);
+		this.renderTab('files', content, _('Browse the container filesystem, download files and folders as tar archive, upload and edit files.'));
+	},
+
+	renderChangesTab() {
+		const content = ContainerChangesTab.render(this.container);
+		this.renderTab('changes', content, _('Paths added, changed or deleted in the writable layer of the container, compared to its image.'));
+	},
+
+	renderUpdateTab() {
+		const content = ContainerUpdateTab.render(this.container);
+		this.renderTab('update', content, _('Change a running container in place with a raw update request.'));
+	},
+
 	async handleStart() {
 		if (this.container.isRunning()) {
 			return;
@@ -209,6 +270,100 @@ return podmanView.base.extend({
 		this.container.pause().then(() => window.location.reload());
 	},
 
+	handleRunCommand() {
+		if (!this.container.isRunning()) {
+			podmanUI.alert(_('Container is not running'), 'warning', true);
+			return;
+		}
+
+		RunCommandModal.setContainer(this.container).render();
+	},
+
+	async handleClone() {
+		this.loading(_('Loading...'));
+
+		const createForm = new PodmanFormContainer.init();
+		createForm.cloneFrom = this.container;
+		const formElement = await createForm.render();
+
+		const modal = new podmanUI.Modal(_('Clone %s').format(this.container.getName()), [ formElement ]);
+		modal.getButtons = () => [
+			modal.getCloseButton(),
+			new podmanUI.ButtonNew(_('Create'), {
+				click: () => createForm.handleCreate(),
+				type: 'positive',
+			}).render(),
+		];
+		modal.render();
+	},
+
+	async handleEdit() {
+		this.loading(_('Loading...'));
+
+		const editForm = new PodmanFormContainer.init();
+		editForm.editContainer = this.container;
+		const formElement = await editForm.render();
+
+		const showForm = () => {
+			const modal = new podmanUI.Modal(_('Edit %s').format(this.container.getName()), [ formElement ]);
+			modal.getButtons = () => [
+				modal.getCloseButton(),
+				new podmanUI.ButtonNew(_('Review changes'), {
+					click: async () => {
+						const result = await editForm.buildEditSpec();
+						if (result) this.showEditChanges(result, showForm);
+					},
+					type: 'positive',
+				}).render(),
+			];
+			modal.render();
+		};
+
+		showForm();
+	},
+
+	showEditChanges({ spec, changes }, onBack) {
+		const content = [];
+
+		if (changes.length === 0) {
+			content.push(E('p', {}, _('No changes.')));
+		} else {
+			const table = new podmanUI.Table();
+			table.addHeader(_('Setting')).addHeader(_('Current')).addHeader(_('New'));
+			changes.forEach((change) => table.addRow([
+				{ inner: change.label },
+				{ inner: E('div', { class: 'text-pre' }, change.before || '-') },
+				{ inner: E('div', { class: 'text-pre' }, change.after || '-') },
+			]));
+			content.push(table.render());
+			content.push(E('p', { class: 'mt-sm' }, this.container.isRunning()
+				? _('The container will be stopped, removed, created again and started.')
+				: _('The container will be removed and created again.')));
+		}
+
+		const modal = new podmanUI.Modal(_('Review changes'), content);
+		modal.getButtons = () => [
+			new podmanUI.ButtonNew(_('Back'), {
+				click: () => onBack(),
+				type: 'negative',
+			}).render(),
+			...(changes.length > 0 ? [ new podmanUI.ButtonNew(_('Apply'), {
+				click: ui.createHandlerFn(this, 'handleApplyEdit', spec),
+				type: 'positive',
+			}).render() ] : []),
+		];
+		modal.render();
+	},
+
+	async handleApplyEdit(spec) {
+		this.stopStreams();
+
+		const recreated = await RecreateModal.run(this.container, spec);
+		if (recreated) {
+			window.location.href = recreated.getDetailUrl();
+		}
+	},
+
 	async handleRemove() {
 		this.confirm([
 			E('p', {}, _('Are you sure to remove container?')),
@@ -9,6 +9,7 @@
 'require podman.form as podmanForm';
 'require podman.view as podmanView';
 'require podman.form.container as PodmanFormContainer';
+'require view.podman.modal.templates as TemplatesModal';
 
 /**
  * Manage podman containers
@@ -35,6 +36,7 @@ return podmanView.list.extend({
 			new podmanUI.Button('&#9724;', ui.createHandlerFn(this, 'handleStop')).render(),
 			new podmanUI.Button('&#8635;', ui.createHandlerFn(this, 'handleRestart')).render(),
 			new podmanUI.Button('&#10074;&#10074;', ui.createHandlerFn(this, 'handlePause')).render(),
+			new podmanUI.Button(_('Templates'), ui.createHandlerFn(this, 'handleTemplates')).render(),
 		];
 
 		let o;
@@ -56,7 +58,16 @@ return podmanView.list.extend({
 		o.width = '11%';
 
 		o = this.section.option(podmanForm.field.DummyValue, 'State', _('Status'));
-		o.cfgdatavalue = (container) => container.getStateBadge();
+		o.cfgdatavalue = (container) => {
+			const health = container.getHealthStatus();
+			if (!health || health === container.getState()) {
+				return container.getStateBadge();
+			}
+			return E('div', { class: 'd-flex flex-wrap gap-xs' }, [
+				container.getStateBadge(),
+				container.getHealthBadge(),
+			]);
+		};
 		o.width = '8%';
 
 		o = this.section.option(podmanForm.field.TimestampDummyValue, 'StartedAt', _('Started At'));
@@ -132,6 +143,22 @@ return podmanView.list.extend({
 		return this.updateContainersStatus((container) => container.pause(), _('Pause container'));
 	},
 
+	async handleTemplates() {
+		const templates = await podmanRPC.templates.list();
+
+		TemplatesModal
+			.setTemplates(templates)
+			.setOnUse((template) => this.handleCreateFromTemplate(template))
+			.render();
+	},
+
+	async handleCreateFromTemplate(template) {
+		const createForm = new PodmanFormContainer.init();
+		createForm.presetTemplate = template;
+
+		return this.getSection().showCreateModal(createForm);
+	},
+
 	async updateContainersStatus(statusFunction, textLoad) {
 		const section = this.getSection();
 		const selected = section.getSelectedData();
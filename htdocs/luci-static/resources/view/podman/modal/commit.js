@@ -0,0 +1,227 @@
+'use strict';
+
+'require ui';
+
+'require podman.ui as podmanUI';
+
+'require podman.model.Image as Image';
+
+const CHANGE_PLACEHOLDER = 'CMD ["nginx", "-g", "daemon off;"]\nENV DEBUG=1\nEXPOSE 8080';
+// Waiting for the image of a commit that outlasted the RPC timeout
+const WAIT_INTERVAL = 5000;
+const WAIT_MAX = 600000;
+
+/**
+ * @param {string} ref - Image reference
+ * @returns {Promise<?string>} ID of the image, null if there is none
+ */
+async function imageId(ref) {
+	const image = await Image.getSingleton({ Id: ref }).inspectSilent().catch(() => null);
+	return image?.Id || null;
+}
+
+/**
+ * Drop the settings of a container spec that a commit change replaced in the
+ * image, so a container re-created from that image picks up the new values.
+ * @param {object} spec - Spec from inspectToSpec()
+ * @param {string[]} changes - Dockerfile instructions passed to the commit
+ * @returns {object} spec
+ */
+function applyChanges(spec, changes) {
+	changes.forEach((line) => {
+		const [ , instruction, args ] = line.match(/^(\S+)\s+(.*)$/) || [];
+
+		switch ((instruction || '').toUpperCase()) {
+		case 'CMD':
+			delete spec.command;
+			break;
+		case 'ENTRYPOINT':
+			delete spec.entrypoint;
+			break;
+		case 'WORKDIR':
+			delete spec.work_dir;
+			break;
+		case 'USER':
+			delete spec.user;
+			break;
+		case 'ENV': {
+			spec.env = spec.env || {};
+			const pairs = args.match(/[^\s=]+=("[^"]*"|\S*)/g);
+			if (pairs) {
+				pairs.forEach((pair) => {
+					const eq = pair.indexOf('=');
+					spec.env[pair.substring(0, eq)] = pair.substring(eq + 1).replace(/^"(.*)"$/, '$1');
+				});
+			} else {
+				const [ key, ...value ] = args.split(/\s+/);
+				spec.env[key] = value.join(' ');
+			}
+			break;
+		}
+		}
+	});
+
+	return spec;
+}
+
+/**
+ * Commit a container to a new image and offer to re-create the container from it.
+ */
+return podmanUI.Modal.extend({
+	title: _('Commit Container'),
+	container: null,
+	onRecreate: null,
+
+	/**
+	 * @param {Container} container - Inspected container
+	 * @param {function(object)} onRecreate - Called with the spec of a container from the new image
+	 */
+	setContainer(container, onRecreate) {
+		this.container = container;
+		this.onRecreate = onRecreate;
+		return this;
+	},
+
+	getContent() {
+		const date = new Date();
+		const pad = (n) => String(n).padStart(2, '0');
+
+		this.repoInput = E('input', {
+			type: 'text',
+			class: 'cbi-input-text w-100',
+			value: `localhost/${this.container.getName()}`,
+			spellcheck: 'false',
+		});
+		this.tagInput = E('input', {
+			type: 'text',
+			class: 'cbi-input-text',
+			value: `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`,
+			spellcheck: 'false',
+		});
+		this.authorInput = E('input', { type: 'text', class: 'cbi-input-text' });
+		this.messageInput = E('input', { type: 'text', class: 'cbi-input-text w-100' });
+		this.pauseCheckbox = new ui.Checkbox('1', { hiddenname: 'commit-pause' });
+		this.changesInput = E('textarea', {
+			class: 'cbi-input-textarea',
+			rows: 4,
+			spellcheck: 'false',
+			placeholder: CHANGE_PLACEHOLDER,
+		});
+		this.status = E('p', { class: 'mt-sm' });
+
+		const pauseNode = this.pauseCheckbox.render();
+		const pauseId = pauseNode.querySelector('input[type="checkbox"]').id;
+
+		return [
+			E('div', { class: 'd-flex gap-xs' }, [
+				E('div', { class: 'w-100' }, [ E('label', { class: 'd-block' }, _('Repository')), this.repoInput ]),
+				E('div', {}, [ E('label', { class: 'd-block' }, _('Tag')), this.tagInput ]),
+			]),
+			E('div', { class: 'd-flex gap-xs mt-sm' }, [
+				E('div', {}, [ E('label', { class: 'd-block' }, _('Author')), this.authorInput ]),
+				E('div', { class: 'w-100' }, [ E('label', { class: 'd-block' }, _('Message')), this.messageInput ]),
+			]),
+			E('div', { class: 'd-flex align-center checkbox-with-label mt-sm' }, [
+				pauseNode,
+				E('label', { for: pauseId }, _('Pause the container while committing')),
+			]),
+			E('label', { class: 'd-block mt-sm' }, _('Changes (Dockerfile instructions, one per line: CMD, ENTRYPOINT, ENV, EXPOSE, LABEL, USER, VOLUME, WORKDIR, ...)')),
+			this.changesInput,
+			this.status,
+		];
+	},
+
+	getButtons() {
+		return [
+			this.getCloseButton(),
+			new podmanUI.ButtonNew(_('Commit'), {
+				click: ui.createHandlerFn(this, 'handleCommit'),
+				type: 'positive',
+			}).render(),
+		];
+	},
+
+	async handleCommit() {
+		const repo = this.repoInput.value.trim();
+		const tag = this.tagInput.value.trim() || 'latest';
+		const changes = this.changesInput.value.split('\n').map((line) => line.trim()).filter((line) => line);
+
+		if (!repo) {
+			this.repoInput.focus();
+			return;
+		}
+
+		this.status.className = 'mt-sm';
+		this.status.textContent = _('Committing…');
+
+		// A commit to an existing tag replaces its image, which tells the new one apart
+		const previousId = await imageId(`${repo}:${tag}`);
+
+		let image;
+		try {
+			image = await this.container.commit({
+				repo,
+				tag,
+				author: this.authorInput.value.trim(),
+				comment: this.messageInput.value.trim(),
+				pause: this.pauseCheckbox.getValue() === '1',
+				changes,
+			});
+		} catch (err) {
+			const message = err.message || String(err);
+			if (!/timed out/i.test(message)) {
+				this.status.className = 'mt-sm text-error';
+				this.status.textContent = message;
+				return;
+			}
+
+			image = await this.waitForImage(`${repo}:${tag}`, previousId);
+			if (!image) return;
+		}
+
+		this.renderDone(`${repo}:${tag}`, image?.Id, changes);
+	},
+
+	/**
+	 * The request timed out, but Podman keeps committing: poll until the image shows up.
+	 * @param {string} ref - Image reference of the commit
+	 * @param {?string} previousId - Image the reference pointed to before
+	 * @returns {Promise<?{Id: string}>} The new image, null when still running or the modal was closed
+	 */
+	async waitForImage(ref, previousId) {
+		this.status.className = 'mt-sm';
+		this.status.textContent = _('The commit is still running. Waiting for the image…');
+
+		for (let waited = 0; waited < WAIT_MAX; waited += WAIT_INTERVAL) {
+			await new Promise((resolve) => setTimeout(resolve, WAIT_INTERVAL));
+			if (!this.status.isConnected) return null;
+
+			const id = await imageId(ref);
+			if (id && id !== previousId) return { Id: id };
+		}
+
+		this.status.textContent = _('The commit is still running. The image shows up under Images when it is done.');
+		return null;
+	},
+
+	renderDone(imageRef, imageId, changes) {
+		const modal = new podmanUI.Modal(_('Image Created'), [
+			E('p', {}, _('The container was committed to %s (%s).').format(imageRef, (imageId || '').substring(0, 12))),
+			E('p', { class: 'mt-sm' }, _('Re-create the container "%s" from the new image? Its configuration is kept; the container is stopped, removed and created again.').format(this.container.getName())),
+		]);
+		modal.getButtons = () => [
+			new podmanUI.ButtonNew(_('Not now'), {
+				click: () => ui.hideModal(),
+				type: 'negative',
+			}).render(),
+			new podmanUI.ButtonNew(_('Show images'), {
+				click: () => { window.location.href = L.url('admin/podman/images'); },
+			}).render(),
+			new podmanUI.ButtonNew(_('Re-create'), {
+				click: () => this.onRecreate?.(applyChanges(this.container.inspectToSpec(imageRef), changes)),
+				type: 'positive',
+			}).render(),
+		];
+		modal.render();
+	},
+});
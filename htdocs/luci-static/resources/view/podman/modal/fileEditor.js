@@ -0,0 +1,77 @@
+'use strict';
+
+'require ui';
+
+'require podman.ui as podmanUI';
+
+/**
+ * View and edit a small text file inside a container.
+ */
+return podmanUI.Modal.extend({
+	title: _('Edit File'),
+	container: null,
+	dir: null,
+	entry: null,
+	text: '',
+	onSaved: null,
+
+	/**
+	 * @param {Container} container
+	 * @param {string} dir - Folder of the file
+	 * @param {{name: string, mode: number}} entry - File entry from Container.listFiles()
+	 * @param {string} text - Current content
+	 * @param {function()} [onSaved] - Called after the file was written
+	 */
+	setFile(container, dir, entry, text, onSaved) {
+		this.container = container;
+		this.dir = dir;
+		this.entry = entry;
+		this.text = text;
+		this.onSaved = onSaved;
+		this.title = `${dir.replace(/\/$/, '')}/${entry.name}`;
+		return this;
+	},
+
+	getContent() {
+		this.textarea = E('textarea', {
+			class: 'cbi-input-textarea w-100 text-pre',
+			rows: 20,
+			spellcheck: 'false',
+			wrap: 'off',
+		}, [ this.text ]);
+		this.status = E('p', { class: 'mt-sm' });
+
+		return [
+			this.textarea,
+			this.status,
+		];
+	},
+
+	getButtons() {
+		return [
+			this.getCloseButton(),
+			new podmanUI.ButtonNew(_('Save'), {
+				click: ui.createHandlerFn(this, 'handleSave'),
+				type: 'positive',
+			}).render(),
+		];
+	},
+
+	async handleSave() {
+		this.status.className = 'mt-sm';
+		this.status.textContent = _('Saving…');
+
+		try {
+			await this.container.uploadFile(this.dir, this.entry.name,
+				new Blob([ this.textarea.value ]), this.entry.mode.toString(8));
+		} catch (err) {
+			this.status.className = 'mt-sm text-error';
+			this.status.textContent = err.message || String(err);
+			return;
+		}
+
+		ui.hideModal();
+		podmanUI.alert(_('File saved'), 'success', true);
+		this.onSaved?.();
+	},
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+'require ui';
+
+'require podman.rpc as podmanRPC';
+'require podman.ui as podmanUI';
+'require podman.model.Container as Container';
+
+/**
+ * Re-create a container from a new spec with a progress log. When the original
+ * is already removed but creation fails, the spec stays editable for a retry.
+ */
+return podmanUI.Modal.extend({
+	title: _('Re-create Container'),
+
+	/**
+	 * @param {object} container - Inspected container to replace
+	 * @param {object} spec - Spec for the new container
+	 * @returns {Promise<object|null>} The new (inspected) container, or null on failure
+	 */
+	async run(container, spec) {
+		const log = new podmanUI.StreamLog();
+		const modal = new podmanUI.Modal(this.title, [ log.render() ]);
+		modal.getButtons = () => [];
+		modal.render();
+
+		const initStatus = await container.checkInitScript();
+		const wasRunning = container.isRunning();
+
+		try {
+			await container.releaseDhcpAddresses(spec);
+			const created = await container.recreate(spec, (line) => log.append(line), 'none');
+			return await this.finish(container, created.Id, initStatus);
+		} catch (err) {
+			if (err.spec) {
+				this.renderFailure(container, err, { initStatus, wasRunning });
+			} else {
+				ui.hideModal();
+				podmanUI.alert(err.message || String(err), 'error');
+			}
+			return null;
+		}
+	},
+
+	/**
+	 * Move the init script over to the new container.
+	 * @param {object} container - Replaced container
+	 * @param {string} id - ID of the new container
+	 * @param {string} initStatus - Init script status of the replaced container
+	 * @returns {Promise<object>} The new (inspected) container
+	 */
+	async finish(container, id, initStatus) {
+		const recreated = Container.getSingleton(await Container.getSingleton({ Id: id }).inspect());
+
+		if (recreated.getName() !== container.getName() && (initStatus === 'enabled' || initStatus === 'disabled')) {
+			await container.removeInitScript();
+		}
+		await recreated.syncInitScript(initStatus);
+
+		return recreated;
+	},
+
+	renderFailure(container, err, { initStatus, wasRunning }) {
+		const specArea = E('textarea', {
+			class: 'cbi-input-textarea',
+			rows: 16,
+			spellcheck: 'false',
+		}, JSON.stringify(err.spec, null, 2));
+
+		const modal = new podmanUI.Modal(_('Re-create failed'), [
+			E('p', { class: 'text-error' }, err.message || String(err)),
+			E('p', { class: 'mt-sm' }, _('The container "%s" was removed but could not be created again. The spec is kept below: fix it and retry, or download it.').format(container.getName())),
+			specArea,
+		]);
+		modal.getButtons = () => [
+			new podmanUI.ButtonNew(_('Close'), {
+				click: () => ui.hideModal(),
+				type: 'negative',
+			}).render(),
+			new podmanUI.ButtonNew(_('Download'), {
+				click: () => this.handleDownload(container, specArea.value),
+				type: 'apply',
+			}).render(),
+			new podmanUI.ButtonNew(_('Retry'), {
+				click: ui.createHandlerFn(this, 'handleRetry', container, specArea, { initStatus, wasRunning }),
+				type: 'positive',
+			}).render(),
+		];
+		modal.render();
+	},
+
+	handleDownload(container, text) {
+		const blob = new Blob([ text ], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+		const a = E('a', { href: url, download: `${container.getName()}-spec.json` });
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+		setTimeout(() => URL.revokeObjectURL(url), 100);
+	},
+
+	async handleRetry(container, specArea, { initStatus, wasRunning }) {
+		let spec;
+		try {
+			spec = JSON.parse(specArea.value);
+		} catch (e) {
+			specArea.classList.add('cbi-input-invalid');
+			return;
+		}
+
+		podmanUI.showSpinningModal(null, _('Creating container'));
+
+		let created;
+		try {
+			created = await podmanRPC.containers.create(spec);
+		} catch (err) {
+			this.renderFailure(container, Object.assign(err, { spec }), { initStatus, wasRunning });
+			return;
+		}
+
+		const recreated = await this.finish(container, created.Id, initStatus);
+		if (wasRunning) await recreated.start();
+
+		window.location.href = recreated.getDetailUrl();
+	},
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+'require ui';
+
+'require podman.utils as podmanUtil';
+'require podman.ui as podmanUI';
+
+const RECENT_STORAGE_KEY = 'luci-podman-recent-commands';
+const RECENT_MAX = 10;
+
+/**
+ * Recently run commands of a container, newest first. Kept in the browser,
+ * keyed by container name so they survive re-creating the container.
+ * @param {string} name - Container name
+ * @returns {Array<{command: string, shell: boolean, user: string, workdir: string, env: string}>}
+ */
+function loadRecent(name) {
+	try {
+		return JSON.parse(window.localStorage.getItem(RECENT_STORAGE_KEY) || '{}')[name] || [];
+	} catch (e) {
+		return [];
+	}
+}
+
+/**
+ * @param {string} name - Container name
+ * @param {object} entry - Command and options as returned by loadRecent()
+ */
+function saveRecent(name, entry) {
+	try {
+		const all = JSON.parse(window.localStorage.getItem(RECENT_STORAGE_KEY) || '{}');
+		all[name] = [ entry, ...(all[name] || []).filter((recent) => JSON.stringify(recent) !== JSON.stringify(entry)) ]
+			.slice(0, RECENT_MAX);
+		window.localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(all));
+	} catch (e) { }
+}
+
+/**
+ * Run a single command in a running container and show its output and exit code.
+ */
+return podmanUI.Modal.extend({
+	title: _('Run Command'),
+	container: null,
+
+	setContainer(container) {
+		this.container = container;
+		return this;
+	},
+
+	getContent() {
+		this.recent = loadRecent(this.container.getName());
+
+		this.commandInput = E('input', {
+			type: 'text',
+			class: 'cbi-input-text w-100',
+			placeholder: 'nginx -s reload',
+			spellcheck: 'false',
+			keydown: (ev) => {
+				if (ev.key === 'Enter') this.handleRun();
+			},
+		});
+		this.shellCheckbox = new ui.Checkbox(0, { hiddenname: 'run-command-shell' });
+		this.userInput = E('input', {
+			type: 'text',
+			class: 'cbi-input-text',
+			placeholder: this.container.getUser() || 'root',
+		});
+		this.workdirInput = E('input', {
+			type: 'text',
+			class: 'cbi-input-text',
+			placeholder: this.container.getWorkingDir() || '/',
+		});
+		this.envInput = E('textarea', {
+			class: 'cbi-input-textarea',
+			rows: 3,
+			spellcheck: 'false',
+			placeholder: 'KEY=value',
+		});
+		this.output = E('pre', { class: 'terminal-area hidden' });
+		this.status = E('p', { class: 'mt-sm' });
+
+		const shellNode = this.shellCheckbox.render();
+		const shellId = shellNode.querySelector('input[type="checkbox"]').id;
+
+		return [
+			this.recent.length > 0 ? E('div', { class: 'mb-sm' }, [
+				E('label', { class: 'd-block' }, _('Recent commands')),
+				E('select', {
+					class: 'cbi-input-select w-100',
+					change: (ev) => this.applyRecent(this.recent[ev.target.value]),
+				}, [
+					E('option', { value: '' }, _('-- Select --')),
+					...this.recent.map((entry, i) => E('option', { value: i }, entry.command)),
+				]),
+			]) : '',
+			E('label', { class: 'd-block' }, _('Command')),
+			this.commandInput,
+			E('div', { class: 'd-flex align-center checkbox-with-label mt-sm' }, [
+				shellNode,
+				E('label', { for: shellId }, _('Run through /bin/sh -c (pipes, redirects, variables)')),
+			]),
+			E('div', { class: 'd-flex gap-xs mt-sm' }, [
+				E('div', {}, [ E('label', { class: 'd-block' }, _('User')), this.userInput ]),
+				E('div', {}, [ E('label', { class: 'd-block' }, _('Working Directory')), this.workdirInput ]),
+			]),
+			E('label', { class: 'd-block mt-sm' }, _('Environment (one KEY=value per line)')),
+			this.envInput,
+			this.output,
+			this.status,
+		];
+	},
+
+	getButtons() {
+		this.runButton = new podmanUI.ButtonNew(_('Run'), {
+			click: ui.createHandlerFn(this, 'handleRun'),
+			type: 'positive',
+		}).render();
+
+		return [ this.getCloseButton(), this.runButton ];
+	},
+
+	applyRecent(entry) {
+		if (!entry) return;
+
+		this.commandInput.value = entry.command;
+		this.shellCheckbox.setValue(entry.shell ? '1' : '0');
+		this.userInput.value = entry.user || '';
+		this.workdirInput.value = entry.workdir || '';
+		this.envInput.value = entry.env || '';
+	},
+
+	async handleRun() {
+		if (this.running) return;
+
+		const entry = {
+			command: this.commandInput.value.trim(),
+			shell: this.shellCheckbox.getValue() === '1',
+			user: this.userInput.value.trim(),
+			workdir: this.workdirInput.value.trim(),
+			env: this.envInput.value.trim(),
+		};
+
+		if (!entry.command) {
+			this.commandInput.focus();
+			return;
+		}
+
+		const { entries, errors } = podmanUtil.cli.parseEnvFile(entry.env);
+		if (errors.length > 0) {
+			this.setStatus(_('Environment line %d could not be parsed').format(errors[0]), 'text-error');
+			return;
+		}
+
+		const cmd = entry.shell ? [ '/bin/sh', '-c', entry.command ] : podmanUtil.cli.tokenize(entry.command);
+		saveRecent(this.container.getName(), entry);
+
+		this.running = true;
+		this.output.replaceChildren();
+		this.output.classList.remove('hidden');
+		this.setStatus(_('Running…'), '');
+
+		try {
+			const result = await this.container.runCommand({
+				cmd,
+				user: entry.user,
+				workdir: entry.workdir,
+				env: entries.map(({ key, value }) => `${key}=${value}`),
+			}, (stream, text) => {
+				this.output.appendChild(stream === 'stderr' ? E('span', { class: 'term-fg-9' }, text) : document.createTextNode(text));
+				this.output.scrollTop = this.output.scrollHeight;
+			});
+
+			if (result.running) {
+				this.setStatus(_('The command is still running in the container; its further output is not shown.'), 'text-warning');
+			} else if (result.exitCode === 0) {
+				this.setStatus(_('Exit code %d').format(0), 'text-success');
+			} else {
+				this.setStatus(_('Exit code %d').format(result.exitCode ?? -1), 'text-error');
+			}
+		} catch (err) {
+			this.setStatus(err.message || String(err), 'text-error');
+		} finally {
+			this.running = false;
+		}
+	},
+
+	setStatus(text, cssClass) {
+		this.status.className = `mt-sm ${cssClass}`;
+		this.status.textContent = text;
+	},
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+'require ui';
+
+'require podman.rpc as podmanRPC';
+'require podman.utils as podmanUtil';
+'require podman.ui as podmanUI';
+'require podman.model.Template as Template';
+
+return podmanUI.Modal.extend({
+	title: _('Container Templates'),
+	templates: [],
+	onUse: null,
+
+	setTemplates(templates) {
+		this.templates = templates ?? [];
+		return this;
+	},
+
+	/**
+	 * @param {function(object)} onUse - Called with the template to create a container from
+	 */
+	setOnUse(onUse) {
+		this.onUse = onUse;
+		return this;
+	},
+
+	getContent() {
+		if (this.templates.length === 0) {
+			return [
+				E('p', {}, _('No templates saved yet.')),
+				E('p', { class: 'mt-sm' },
+					_('Fill the create form and use "Save as Template", or import a template file exported from another router.')
+				),
+			];
+		}
+
+		const table = new podmanUI.Table();
+		table
+			.addHeader(_('Name'))
+			.addHeader(_('Description'))
+			.addHeader(_('Placeholders'))
+			.addHeader(_('Created'))
+			.addHeader('');
+
+		this.templates.forEach((template) => {
+			const placeholders = template.getPlaceholders().map((name) => '${' + name + '}');
+
+			table.addRow([
+				{ inner: template.getName() },
+				{ inner: template.getDescription() || '-' },
+				{ inner: placeholders.length > 0 ? E('code', {}, placeholders.join(' ')) : '-' },
+				{ inner: podmanUtil.format.date(template.getCreated()) },
+				{ inner: E('div', { class: 'd-flex justify-end gap-xs' }, [
+					new podmanUI.ButtonNew(_('Use'), {
+						click: () => this.onUse?.(template),
+						type: 'positive',
+					}).render(),
+					new podmanUI.ButtonNew(_('Export'), {
+						click: () => this.handleExport(template),
+						type: 'apply',
+					}).render(),
+					new podmanUI.ButtonNew(_('Delete'), {
+						click: () => this.handleRemove(template),
+						type: 'remove',
+					}).render(),
+				]) },
+			]);
+		});
+
+		return [ table.render() ];
+	},
+
+	getButtons() {
+		return [
+			this.getCloseButton(),
+			new podmanUI.ButtonNew(_('Import'), {
+				click: () => this.handleImport(),
+				type: 'add',
+			}).render(),
+		];
+	},
+
+	getCloseButton() {
+		return new podmanUI.ButtonNew(_('Close'), {
+			click: () => ui.hideModal(),
+			type: 'remove',
+		}).render();
+	},
+
+	async reload() {
+		this.templates = await podmanRPC.templates.list();
+		this.render();
+	},
+
+	handleExport(template) {
+		const blob = new Blob([ JSON.stringify(template, null, '\t') + '\n' ], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+		const a = E('a', { href: url, download: `${template.getName()}.json` });
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+		setTimeout(() => URL.revokeObjectURL(url), 100);
+	},
+
+	handleRemove(template) {
+		const modal = new podmanUI.Modal(_('Confirm'), [
+			E('p', {}, _('Delete template "%s"?').format(template.getName())),
+		]);
+		modal.getButtons = () => [
+			new podmanUI.ButtonNew(_('Cancel'), {
+				click: () => this.render(),
+				type: 'negative',
+			}).render(),
+			new podmanUI.ButtonNew(_('Delete'), {
+				click: async () => {
+					try {
+						await template.remove();
+					} catch (err) {
+						ui.hideModal();
+						podmanUI.alert(_('Delete failed: %s').format(err.message || String(err)), 'error');
+						return;
+					}
+					await this.reload();
+				},
+				type: 'remove',
+			}).render(),
+		];
+		modal.render();
+	},
+
+	handleImport() {
+		const fileInput = E('input', {
+			type: 'file',
+			accept: '.json,application/json',
+			class: 'hidden'
+		});
+
+		fileInput.addEventListener('change', async (ev) => {
+			document.body.removeChild(fileInput);
+			const file = ev.target.files[0];
+			if (!file) return;
+
+			let template;
+			try {
+				template = Template.fromJSON(await file.text());
+			} catch (err) {
+				ui.hideModal();
+				podmanUI.alert(_('Import failed: %s').format(err.message), 'error');
+				return;
+			}
+
+			const save = async () => {
+				try {
+					await template.save();
+				} catch (err) {
+					ui.hideModal();
+					podmanUI.alert(_('Import failed: %s').format(err.message || String(err)), 'error');
+					return;
+				}
+				await this.reload();
+			};
+
+			if (!this.templates.some((existing) => existing.getName() === template.getName())) {
+				await save();
+				return;
+			}
+
+			const modal = new podmanUI.Modal(_('Confirm'), [
+				E('p', {}, _('A template named "%s" already exists. Replace it?').format(template.getName())),
+			]);
+			modal.getButtons = () => [
+				new podmanUI.ButtonNew(_('Cancel'), {
+					click: () => this.render(),
+					type: 'negative',
+				}).render(),
+				new podmanUI.ButtonNew(_('Replace'), {
+					click: save,
+					type: 'positive',
+				}).render(),
+			];
+			modal.render();
+		});
+
+		document.body.appendChild(fileInput);
+		fileInput.click();
+	},
+});
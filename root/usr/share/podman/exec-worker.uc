@@ -0,0 +1,245 @@
+'use strict';
+
+import { open, unlink, rename, stat } from 'fs';
+import * as uloop from 'uloop';
+import * as socket from 'socket';
+import * as podman_socket from 'luci.podman_socket'; // ucode-lsp disable
+import { API_BASE } from 'luci.podman_socket'; // ucode-lsp disable
+import { build_request, parse_status, read_headers, read_body } from 'luci.podman_http'; // ucode-lsp disable
+
+// Holds the hijacked connection of a TTY exec session so it outlives the
+// short-lived streaming requests. Output is appended to <prefix>.out behind a
+// header with the stream offset of its first byte; only the most recent
+// output is kept there, enough for streams to re-attach. Input arrives on
+// the <prefix>.sock control socket, one message per connection:
+//     i<bytes>   keystrokes for the TTY
+//     k          keepalive from an attached stream
+//     c          close the session
+
+const BLOCKSIZE = 4096;
+
+// Without a keepalive from an attached stream for this long, the session is abandoned
+const IDLE_TIMEOUT_MS = 60000;
+
+// The output file lives in tmpfs: once it grows past OUT_MAX only the last OUT_KEEP bytes stay
+const OUT_HEADER = 17;
+const OUT_MAX    = 262144;
+const OUT_KEEP   = 65536;
+// Readable by the owner only, since the output may contain secrets shown in the shell
+const OUT_MODE   = 0600;
+
+const exec_id = ARGV[0];
+const rows    = +ARGV[1] || 24;
+const cols    = +ARGV[2] || 80;
+
+if (!exec_id || !match(exec_id, /^[a-f0-9]{64}$/))
+	exit(1);
+
+const prefix   = '/tmp/podman-exec-' + exec_id;
+const outfile  = prefix + '.out';
+const sockfile = prefix + '.sock';
+const pidfile  = prefix + '.pid';
+const exitfile = prefix + '.exit';
+
+/**
+ * @param {string} method
+ * @param {string} path
+ * @returns {?{code:int, body:string}}
+ */
+function podman_call(method, path) {
+	let sock = podman_socket.connect();
+	if (!sock) return null;
+	sock.send(build_request(method, path, null));
+	let hdrs = read_headers(sock);
+	let res = hdrs ? { code: parse_status(hdrs.header_buf), body: read_body(sock, hdrs) } : null;
+	sock.close();
+	return res;
+}
+
+/**
+ * @returns {?object} exec inspect data (Running, Pid, ExitCode)
+ */
+function inspect_exec() {
+	let res = podman_call('GET', sprintf('%s/exec/%s/json', API_BASE, exec_id));
+	if (!res || res.code !== 200) return null;
+	let data = null;
+	try { data = json(res.body); } catch(e) {}
+	return data;
+}
+
+let out_base = 0;
+let out_size = 0;
+
+/**
+ * Drop all but the most recent output and move the base offset forward.
+ * The file is replaced in one rename, so readers see either version whole.
+ */
+function rotate_output() {
+	let f = open(outfile, 'r');
+	if (!f) return;
+	f.seek(OUT_HEADER + out_size - OUT_KEEP);
+	let kept = f.read(OUT_KEEP) || '';
+	f.close();
+
+	out_base += out_size - length(kept);
+	out_size = length(kept);
+
+	let t = open(outfile + '.tmp', 'w', OUT_MODE);
+	if (!t) return;
+	t.write(sprintf('%016d\n', out_base) + kept);
+	t.close();
+	rename(outfile + '.tmp', outfile);
+}
+
+/**
+ * @param {string} data
+ */
+function write_output(data) {
+	let f = open(outfile, 'a');
+	if (!f) return;
+	f.write(data);
+	f.close();
+
+	out_size += length(data);
+	if (out_size > OUT_MAX) rotate_output();
+}
+
+/**
+ * @param {int} code
+ */
+function cleanup(code) {
+	let f = open(exitfile, 'w');
+	if (f) { f.write(code + '\n'); f.close(); }
+	unlink(sockfile);
+	unlink(pidfile);
+	exit(0);
+}
+
+let ps = open('/proc/self/stat', 'r');
+if (ps) {
+	let pid = +(split(ps.read(200) || '0', ' ')[0]);
+	ps.close();
+	let pf = open(pidfile, 'w');
+	if (pf) { pf.write(pid + '\n'); pf.close(); }
+}
+
+// Normally created by the controller; an existing output file marks the session as known
+let out_stat = stat(outfile);
+if (!out_stat || out_stat.size < OUT_HEADER) {
+	let f = open(outfile, 'w', OUT_MODE);
+	if (f) { f.write(sprintf('%016d\n', 0)); f.close(); }
+} else {
+	out_size = out_stat.size - OUT_HEADER;
+}
+
+let sock = podman_socket.connect();
+if (!sock) {
+	write_output('Cannot connect to Podman socket\r\n');
+	cleanup(-1);
+}
+
+sock.send(build_request(
+	'POST',
+	sprintf('%s/exec/%s/start', API_BASE, exec_id),
+	sprintf('%J', { Detach: false, Tty: true, h: rows, w: cols })
+));
+
+let hdrs = read_headers(sock, BLOCKSIZE);
+let code = hdrs ? parse_status(hdrs.header_buf) : 0;
+if (code !== 200 && code !== 101) {
+	let msg = hdrs ? trim(hdrs.body_remainder) : '';
+	let parsed = null;
+	try { parsed = json(msg); } catch(e) {}
+	write_output((parsed?.message || msg || sprintf('Podman error %d', code)) + '\r\n');
+	sock.close();
+	cleanup(-1);
+}
+
+// TTY sessions are not multiplexed: everything after the headers is terminal output
+if (length(hdrs.body_remainder)) write_output(hdrs.body_remainder);
+
+unlink(sockfile);
+let ctl = socket.create(socket.AF_UNIX, socket.SOCK_STREAM);
+if (!ctl || !ctl.bind(socket.sockaddr(sockfile)) || !ctl.listen(8)) {
+	write_output('Cannot create control socket\r\n');
+	sock.close();
+	cleanup(-1);
+}
+
+let closed_by_client = false;
+let last_keepalive = time();
+
+uloop.init();
+
+let handle = uloop.handle(sock, () => {
+	let chunk = sock.recv(BLOCKSIZE);
+	if (type(chunk) !== 'string') return; // EAGAIN - keep waiting
+	if (!length(chunk)) { uloop.end(); return; } // shell exited
+	write_output(chunk);
+}, uloop.ULOOP_READ);
+
+let ctl_handle = uloop.handle(ctl, () => {
+	let conn = ctl.accept();
+	if (!conn) return;
+
+	let msg = '';
+	let conn_handle;
+	conn_handle = uloop.handle(conn, () => {
+		let chunk = conn.recv(BLOCKSIZE);
+		if (type(chunk) !== 'string') return;
+		if (length(chunk)) { msg += chunk; return; }
+
+		conn_handle.delete();
+		conn.close();
+
+		let cmd = substr(msg, 0, 1);
+		if (cmd === 'i') {
+			sock.send(substr(msg, 1));
+		} else if (cmd === 'k') {
+			last_keepalive = time();
+		} else if (cmd === 'c') {
+			closed_by_client = true;
+			uloop.end();
+		}
+	}, uloop.ULOOP_READ);
+}, uloop.ULOOP_READ);
+
+let idle_check;
+idle_check = () => {
+	if ((time() - last_keepalive) * 1000 > IDLE_TIMEOUT_MS) {
+		closed_by_client = true;
+		uloop.end();
+		return;
+	}
+	uloop.timer(5000, idle_check);
+};
+uloop.timer(5000, idle_check);
+
+uloop.run();
+
+handle.delete();
+ctl_handle.delete();
+ctl.close();
+sock.close();
+
+if (closed_by_client) {
+	// Closing the attach connection does not end the process: hang it up like a closed terminal
+	let info = inspect_exec();
+	if (info?.Running && +info.Pid > 0)
+		system([ 'kill', '-HUP', `${+info.Pid}` ]);
+
+	// Nobody reads the output of a session that was closed or abandoned
+	unlink(outfile);
+	unlink(sockfile);
+	unlink(pidfile);
+	exit(0);
+}
+
+// The exec session is marked stopped shortly after its connection closes
+let info = inspect_exec();
+for (let i = 0; i < 10 && info?.Running; i++) {
+	sleep(100);
+	info = inspect_exec();
+}
+
+cleanup(info?.Running === false ? +info.ExitCode : -1);
@@ -41,10 +41,19 @@ start_service() {
 			exit 1
 		fi
 
-		# Start container if not running
+		# Start container if not running, retrying up to the on-failure restart retries
 		if ! $PROG container inspect '{name}' --format '{{.State.Running}}' 2>/dev/null | grep -q true; then
 			logger -t ${NAME} 'Starting container {name}'
-			$PROG start '{name}' || exit 1
+			retries=0
+			until $PROG start '{name}'; do
+				if [ \"\$retries\" -ge {restart_retries} ]; then
+					logger -t ${NAME} 'Failed to start container {name}'
+					exit 1
+				fi
+				retries=\$((retries + 1))
+				logger -t ${NAME} \"Start of {name} failed, retry \${retries}/{restart_retries}\"
+				sleep 5
+			done
 		else
 			logger -t ${NAME} 'Container {name} already running'
 		fi
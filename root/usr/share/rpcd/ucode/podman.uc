@@ -14,12 +14,16 @@
 //   Pods:         list inspect start stop restart pause unpause remove create stats
 //   Secrets:      list inspect create remove
 //   System:       df prune version info debug
+//   Host:         devices timezone ports path
+//                 (exempt from socket check - read /sys, /dev and /proc only)
+//   Templates:    list save remove
+//                 (exempt from socket check - operate on /etc/luci-podman/templates/ only)
 //   Init Scripts: generate show status set_enabled remove
 //                 (exempt from socket check - operate on /etc/init.d/ only)
 //
 // Socket wrapper (end of file)
 
-import { readfile, writefile, popen, stat, chmod, unlink, glob, access } from 'fs';
+import { readfile, writefile, popen, stat, lstat, chmod, unlink, glob, access, mkdir, readlink, lsdir } from 'fs';
 import { cursor } from 'uci';
 import { urlencode, ENCODE_FULL } from 'lucihttp'; // ucode-lsp disable
 import { init_enabled, init_action } from 'luci.sys'; // ucode-lsp disable
@@ -27,7 +31,7 @@ import * as podman_socket from 'luci.podman_socket'; // ucode-lsp disable
 import { API_BASE } from 'luci.podman_socket'; // ucode-lsp disable
 import {
 	validate_id, validate_name, validate_image_ref, validate_query_params,
-	validate_restart_policy, require_param, BODY_KEYS
+	validate_restart_policy, validate_restart_retries, require_param, BODY_KEYS
 } from 'luci.podman_validate'; // ucode-lsp disable
 import {
 	build_request, parse_status, parse_content_length, read_headers
@@ -40,6 +44,23 @@ const _prio = uci.get('luci-podman', 'globals', 'init_start_priority');
 const INIT_START_PRIORITY = (type(_prio) === 'string' && match(_prio, /^([0-9]|[1-9][0-9]|100)$/)) ? _prio : '100';
 uci.unload('luci-podman');
 
+// Container templates saved from the create form, one JSON file per template
+const TEMPLATE_DIR = '/etc/luci-podman/templates';
+
+// Kernel pseudo devices that make no sense to pass into a container
+const PSEUDO_CHAR_DEVICES = /^(null|zero|full|random|urandom|mem|kmem|port|kmsg|console|ptmx|tty[0-9]*|vcs[au]?[0-9]*)$/;
+
+// Directory entries returned by host_path, enough for a file browser
+const HOST_PATH_MAX_ENTRIES = 500;
+
+// Socket tables with the state that means "bound for incoming traffic" (TCP_LISTEN, UDP unconnected)
+const PROC_NET_SOCKETS = [
+	{ file: '/proc/net/tcp',  protocol: 'tcp', state: '0A', family: 4 },
+	{ file: '/proc/net/tcp6', protocol: 'tcp', state: '0A', family: 6 },
+	{ file: '/proc/net/udp',  protocol: 'udp', state: '07', family: 4 },
+	{ file: '/proc/net/udp6', protocol: 'udp', state: '07', family: 6 },
+];
+
 
 // Validators come from luci.podman_validate (imported above).
 
@@ -164,6 +185,15 @@ function init_script_path(name) {
 	return `/etc/init.d/container-${name}`;
 }
 
+// --- Template Helpers ---
+
+/**
+ * @param {string} name
+ */
+function template_path(name) {
+	return `${TEMPLATE_DIR}/${name}.json`;
+}
+
 // --- RPC Methods ---
 
 const methods = {
@@ -299,8 +329,13 @@ const methods = {
 				if (perr) return { error: perr };
 				push(query_parts, `restartPolicy=${data.RestartPolicy}`);
 			}
-			if (data.RestartRetries != null)
-				push(query_parts, `restartRetries=${+data.RestartRetries | 0}`);
+			if (data.RestartRetries != null) {
+				let rerr = validate_restart_retries(data.RestartRetries);
+				if (rerr) return { error: rerr };
+				if (data.RestartPolicy !== 'on-failure')
+					return { error: 'Restart retries require the on-failure restart policy' };
+				push(query_parts, `restartRetries=${+data.RestartRetries}`);
+			}
 
 			let query = length(query_parts) ? '?' + join('&', query_parts) : '';
 
@@ -337,6 +372,71 @@ const methods = {
 		}
 	},
 
+	container_changes: {
+		args: { id: '' },
+		call: function(req) {
+			let err = require_param('id', req.args.id) || validate_id(req.args.id);
+			if (err) return { error: err };
+
+			let res = podman_request('GET', `${API_BASE}/containers/${encode_id(req.args.id)}/changes`);
+			if (res.error) return res;
+
+			// null for a container without changes, which podman_request wraps as a string
+			let changes = type(res.data) === 'array' ? res.data : [];
+
+			// The API only reports paths. With a local overlay storage the files
+			// are in the upper dir of the container, where their size can be read.
+			let upper = null;
+			if (!podman_socket.is_remote()) {
+				let info = podman_request('GET', `${API_BASE}/containers/${encode_id(req.args.id)}/json`);
+				if (info?.GraphDriver?.Name === 'overlay' && stat(info.GraphDriver.Data?.UpperDir)?.type === 'directory')
+					upper = rtrim(info.GraphDriver.Data.UpperDir, '/');
+			}
+
+			if (upper) {
+				for (let change in changes) {
+					if (change.Kind === 2) continue;
+					let st = lstat(upper + change.Path);
+					if (st && st.type !== 'directory') change.Size = st.size;
+				}
+			}
+
+			return { data: changes, sizes: !!upper };
+		}
+	},
+
+	container_commit: {
+		args: { id: '', repo: '', tag: '', author: '', comment: '', pause: false, changes: '' },
+		call: function(req) {
+			let a = req.args;
+			let err = require_param('id', a.id) || validate_id(a.id)
+				|| require_param('repo', a.repo) || validate_image_ref(a.repo);
+			if (!err && a.tag && !match(a.tag, /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/))
+				err = 'Invalid tag';
+			if (err) return { error: err };
+
+			let query = [
+				`container=${encode_id(a.id)}`,
+				`repo=${encode_id(a.repo)}`,
+				`pause=${a.pause ? 'true' : 'false'}`,
+			];
+			if (a.tag) push(query, `tag=${encode_id(a.tag)}`);
+			if (a.author) push(query, `author=${encode_id(a.author)}`);
+			if (a.comment) push(query, `comment=${encode_id(a.comment)}`);
+
+			// Dockerfile-style instructions, one per line
+			for (let line in split(a.changes ?? '', '\n')) {
+				line = trim(line);
+				if (!length(line)) continue;
+				if (!match(line, /^(CMD|ENTRYPOINT|ENV|EXPOSE|LABEL|ONBUILD|STOPSIGNAL|USER|VOLUME|WORKDIR)\s/i))
+					return { error: `Unsupported change: ${line}` };
+				push(query, `changes=${encode_id(line)}`);
+			}
+
+			return podman_request('POST', `${API_BASE}/commit?${join('&', query)}`);
+		}
+	},
+
 	// ==================== Images ====================
 
 	images_list: {
@@ -837,16 +937,215 @@ const methods = {
 		}
 	},
 
-	// ==================== Init Scripts ====================
+	// ==================== Host ====================
 
-	init_script_generate: {
+	host_devices: {
+		args: {},
+		call: function() {
+			let devices = [];
+
+			for (let uevent in (glob('/sys/dev/char/*/uevent') ?? [])) {
+				let info = {};
+				for (let line in split(readfile(uevent) ?? '', '\n')) {
+					let kv = match(line, /^([A-Z]+)=(.*)$/);
+					if (kv) info[kv[1]] = kv[2];
+				}
+
+				if (!info.DEVNAME || match(info.DEVNAME, PSEUDO_CHAR_DEVICES))
+					continue;
+
+				let path = `/dev/${info.DEVNAME}`;
+				if (stat(path)?.type !== 'char')
+					continue;
+
+				push(devices, { path: path, major: +info.MAJOR, minor: +info.MINOR });
+			}
+
+			return { data: sort(devices, (a, b) => (a.path < b.path) ? -1 : (a.path > b.path) ? 1 : 0) };
+		}
+	},
+
+	host_timezone: {
+		args: { zone: '' },
+		call: function(req) {
+			let zone = req.args.zone;
+			let err = require_param('zone', zone);
+			if (!err && (type(zone) !== 'string' || !match(zone, /^[A-Za-z0-9_+-]+(\/[A-Za-z0-9_+-]+)*$/)))
+				err = 'Invalid timezone';
+			if (err) return { error: err };
+
+			return {
+				zone: zone,
+				zoneinfo: stat(`/usr/share/zoneinfo/${zone}`)?.type === 'file',
+				localtime: !!stat('/etc/localtime')
+			};
+		}
+	},
+
+	host_ports: {
+		args: { ports: [] },
+		call: function(req) {
+			let wanted = null;
+			if (type(req.args.ports) === 'array' && length(req.args.ports)) {
+				wanted = {};
+				for (let port in req.args.ports)
+					wanted[+port] = true;
+			}
+
+			// /proc/net lists addresses as host-order 32-bit words in hex
+			let word_bytes = (word) => map([ 6, 4, 2, 0 ], (i) => hex(substr(word, i, 2)));
+			let decode_address = (address, family) => {
+				if (family === 4)
+					return join('.', word_bytes(address));
+
+				let groups = [];
+				for (let w = 0; w < 32; w += 8) {
+					let b = word_bytes(substr(address, w, 8));
+					push(groups, sprintf('%x', b[0] * 256 + b[1]), sprintf('%x', b[2] * 256 + b[3]));
+				}
+				return replace(join(':', groups), /(^|:)0(:0)+(:|$)/, '::');
+			};
+
+			let sockets = {};
+			for (let table in PROC_NET_SOCKETS) {
+				let lines = split(readfile(table.file) ?? '', '\n');
+				for (let i = 1; i < length(lines); i++) {
+					let f = split(trim(lines[i]), /\s+/);
+					if (length(f) < 10 || f[3] !== table.state)
+						continue;
+
+					let local = split(f[1], ':');
+					if (wanted && !wanted[hex(local[1])])
+						continue;
+
+					sockets[f[9]] = {
+						protocol: table.protocol,
+						port: hex(local[1]),
+						address: decode_address(local[0], table.family),
+						process: null
+					};
+				}
+			}
+
+			// Owning process: the one holding a socket:[inode] file descriptor. Walking
+			// the descriptors of every process is slow, so only done for given ports.
+			for (let fd in (wanted ? (glob('/proc/[0-9]*/fd/*') ?? []) : [])) {
+				let inode = match(readlink(fd) ?? '', /^socket:\[([0-9]+)\]$/);
+				if (!inode || !sockets[inode[1]] || sockets[inode[1]].process)
+					continue;
+
+				let pid = split(fd, '/')[2];
+				sockets[inode[1]].process = trim(readfile(`/proc/${pid}/comm`) ?? '') || null;
+			}
+
+			let ports = {};
+			for (let inode, socket in sockets) {
+				if (socket.port > 0)
+					ports[`${socket.protocol}/${socket.port}/${socket.address}/${socket.process}`] = socket;
+			}
+
+			return { data: sort(values(ports), (a, b) => a.port - b.port) };
+		}
+	},
+
+	host_path: {
+		args: { path: '', list: false },
+		call: function(req) {
+			let path = req.args.path;
+			let err = require_param('path', path);
+			if (!err && (type(path) !== 'string' || !match(path, /^\//) || match(path, /(^|\/)\.\.(\/|$)/)))
+				err = 'Invalid path';
+			if (err) return { error: err };
+
+			let st = stat(path);
+			let result = { path: path, exists: !!st, type: st?.type };
+
+			if (req.args.list && st?.type === 'directory') {
+				let entries = [];
+				for (let name in sort(lsdir(path) ?? [])) {
+					if (length(entries) >= HOST_PATH_MAX_ENTRIES)
+						break;
+					push(entries, { name: name, type: stat(`${rtrim(path, '/')}/${name}`)?.type });
+				}
+				result.entries = entries;
+			}
+
+			return result;
+		}
+	},
+
+	// ==================== Templates ====================
+
+	templates_list: {
+		args: {},
+		call: function() {
+			let templates = [];
+
+			for (let path in (glob(`${TEMPLATE_DIR}/*.json`) ?? [])) {
+				let template = null;
+				try { template = json(readfile(path) ?? ''); } catch(e) {}
+				if (type(template) !== 'object' || type(template.values) !== 'object')
+					continue;
+
+				template.name = replace(path, /^.*\/|\.json$/g, '');
+				push(templates, template);
+			}
+
+			return { data: templates };
+		}
+	},
+
+	template_save: {
+		args: { name: '', template: {} },
+		call: function(req) {
+			let err = require_param('name', req.args.name) || validate_name(req.args.name);
+			if (err) return { error: err };
+
+			let template = req.args.template;
+			if (type(template) !== 'object' || type(template.values) !== 'object')
+				return { error: 'Invalid template: missing values' };
+
+			template.name = req.args.name;
+
+			mkdir('/etc/luci-podman');
+			mkdir(TEMPLATE_DIR);
+			if (writefile(template_path(req.args.name), sprintf('%.J\n', template)) == null)
+				return { error: 'Failed to write template' };
+
+			return { success: true };
+		}
+	},
+
+	template_remove: {
 		args: { name: '' },
 		call: function(req) {
 			let err = require_param('name', req.args.name) || validate_name(req.args.name);
 			if (err) return { error: err };
 
+			let path = template_path(req.args.name);
+			if (!stat(path))
+				return { error: 'Template not found' };
+
+			unlink(path);
+			if (stat(path))
+				return { error: 'Failed to remove template' };
+
+			return { success: true };
+		}
+	},
+
+	// ==================== Init Scripts ====================
+
+	init_script_generate: {
+		args: { name: '', retries: 0 },
+		call: function(req) {
+			let err = require_param('name', req.args.name) || validate_name(req.args.name)
+				|| (req.args.retries != null ? validate_restart_retries(req.args.retries) : null);
+			if (err) return { error: err };
+
 			let name = `${req.args.name}`;
 			let start_priority = `${INIT_START_PRIORITY}`;
+			let restart_retries = `${+(req.args.retries ?? 0)}`;
 			let script_name = `container-${name}`;
 			let script_path = init_script_path(name);
 
@@ -857,6 +1156,7 @@ const methods = {
 			let content = replace(template, /\{name\}/g, name);
 			content = replace(content, /\{start_priority\}/g, start_priority);
 			content = replace(content, /\{script_name\}/g, script_name);
+			content = replace(content, /\{restart_retries\}/g, restart_retries);
 
 			let written = writefile(script_path, content);
 			if (written == null)
@@ -946,6 +1246,13 @@ const methods = {
 
 const no_socket_check = {
 	system_debug: true,
+	host_devices: true,
+	host_timezone: true,
+	host_ports: true,
+	host_path: true,
+	templates_list: true,
+	template_save: true,
+	template_remove: true,
 	init_script_generate: true,
 	init_script_show: true,
 	init_script_status: true,
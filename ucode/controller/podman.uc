@@ -2,16 +2,36 @@
 
 import { open, stat, unlink } from 'fs';
 import * as uloop from 'uloop';
+import * as socket from 'socket';
 import * as struct from 'struct';
 import { cursor } from 'uci';
 import { connect as ubus_connect } from 'ubus';
 import * as podman_socket from 'luci.podman_socket'; // ucode-lsp disable
 import { API_BASE } from 'luci.podman_socket'; // ucode-lsp disable
 import { validate_id } from 'luci.podman_validate'; // ucode-lsp disable
-import { build_request, parse_status } from 'luci.podman_http'; // ucode-lsp disable
+import { build_request, parse_status, read_headers, read_body } from 'luci.podman_http'; // ucode-lsp disable
+import { urlencode, ENCODE_FULL } from 'lucihttp'; // ucode-lsp disable
 
 const BLOCKSIZE = 4096;
 
+const EXEC_SHELLS = { sh: '/bin/sh', bash: '/bin/bash', ash: '/bin/ash' };
+const EXEC_PREFIX = '/tmp/podman-exec-';
+const EXEC_INPUT_MAX = 65536;
+// Output files start with the stream offset of their first byte, see exec-worker.uc
+const EXEC_OUT_HEADER = 17;
+
+// Folders are listed with stat inside running containers. Otherwise the tar of the
+// whole subtree is read, so scanning stops after this long.
+const FILES_LIST_MAX_SECONDS = 20;
+const FILES_LIST_MAX_ENTRIES = 1000;
+// sh -c script listing $1: the path itself, then its direct children as mode/size/mtime/name/quoted name
+const FILES_LIST_SCRIPT = 'command -v stat >/dev/null || exit 127; '
+	+ 'stat -L -c "%f/%s/%Y" -- "$1" || exit 2; [ -d "$1" ] || exit 0; '
+	+ 'cd -- "$1" || exit 2; stat -c "%f/%s/%Y/%n/%N" -- .[!.]* ..?* * 2>/dev/null; exit 0';
+const FILES_VIEW_MAX = 262144;
+// Followed by the random upload token of the client, so concurrent uploads do not collide
+const FILES_UPLOAD_PREFIX = '/tmp/podman-upload-';
+
 const FLUSH_SIZE = 1500;
 const PAD_STR = (() => {
 	let s = ''; let i = 0;
@@ -27,6 +47,12 @@ function http_write_padded(data) {
 	return http.write(data + substr(PAD_STR, 0, FLUSH_SIZE - n)); // ucode-lsp disable
 }
 
+const ZEROS = (() => {
+	let s = ''; let i = 0;
+	while (i < 1024) { s += chr(0); i++; }
+	return s;
+})();
+
 const _uci_timeouts = (() => {
 	let c = cursor();
 	let s = c.get('uhttpd', 'main', 'script_timeout');
@@ -98,20 +124,462 @@ function session_timer(sid) {
 	};
 }
 
+/**
+ * Routes that open a shell or touch container files change the container, so
+ * they need write access to the app like the corresponding rpcd methods.
+ * @param {string} sid
+ * @returns {boolean}
+ */
+function has_write_access(sid) {
+	if (!sid) return false;
+	let res = ubus_connect()?.call('session', 'access', {
+		ubus_rpc_session: sid,
+		scope: 'access-group',
+		object: 'luci-app-podman',
+		function: 'write'
+	});
+	return res?.access === true;
+}
+
+/**
+ * Blocking request/response round trip for the small calls around a stream.
+ * @param {string} method
+ * @param {string} api_path
+ * @param {?string} body
+ * @returns {?{code:int, body:string}}
+ */
+function podman_call(method, api_path, body) {
+	let sock = podman_socket.connect();
+	if (!sock) return null;
+	sock.send(build_request(method, api_path, body));
+	let hdrs = read_headers(sock);
+	let res = hdrs ? { code: parse_status(hdrs.header_buf), body: read_body(sock, hdrs) } : null;
+	sock.close();
+	return res;
+}
+
+/**
+ * Split Podman's multiplexed attach stream into frames: 8-byte header
+ * (stream type, 3 bytes padding, big-endian payload length) + payload.
+ * @param {function} on_frame  called with (stream_type, payload) per complete frame
+ * @returns {function}         feed(chunk), buffers incomplete frames
+ */
+function frame_demuxer(on_frame) {
+	let framebuf = '';
+	return (chunk) => {
+		framebuf += `${chunk}`;
+		while (length(framebuf) >= 8) {
+			let hdr = struct.unpack('!BxxxI', substr(framebuf, 0, 8));
+			if (!hdr) break;
+			let payload_len = int(`${hdr[1]}`);
+			if (length(framebuf) < 8 + payload_len) break; // wait for more data
+			let payload = substr(framebuf, 8, payload_len);
+			framebuf = substr(framebuf, 8 + payload_len);
+			on_frame(hdr[0], payload);
+		}
+	};
+}
+
+/**
+ * Create an exec instance; answers the request with an error when that fails.
+ * @param {string} id      container ID
+ * @param {object} config  exec config (Cmd, Tty, Attach*, ...)
+ * @returns {?string}      exec ID
+ */
+function exec_create(id, config) {
+	let res = podman_call('POST', sprintf('%s/containers/%s/exec', API_BASE, id), sprintf('%J', config));
+
+	let created = null;
+	try { created = json(res?.body); } catch(e) {}
+	if (!res || res.code !== 201 || !match(`${created?.Id}`, /^[a-f0-9]{64}$/)) {
+		error_response(res?.code >= 400 ? res.code : 502, created?.message || 'Cannot create exec session');
+		return null;
+	}
+
+	return created.Id;
+}
+
+/**
+ * @param {string} path  absolute path inside a container
+ * @returns {boolean}
+ */
+function valid_container_path(path) {
+	return !!match(path, /^\/[^\n\r]*$/) && index(path, chr(0)) < 0;
+}
+
+/**
+ * Connect and request the tar archive of a path inside a container. Answers
+ * the request with Podman's error when that fails.
+ * @param {string} id
+ * @param {string} path
+ * @returns {?{sock:Socket, body:string}}  socket positioned at the tar stream
+ */
+function archive_open(id, path) {
+	let sock = podman_socket.connect();
+	if (!sock) {
+		error_response(502, 'Cannot connect to Podman socket');
+		return null;
+	}
+
+	sock.send(build_request('GET', sprintf('%s/containers/%s/archive?path=%s',
+		API_BASE, id, urlencode(path, ENCODE_FULL)), null));
+
+	let hdrs = read_headers(sock);
+	let code = hdrs ? parse_status(hdrs.header_buf) : 502;
+	if (code !== 200) {
+		let body = hdrs ? read_body(sock, hdrs) : '';
+		let parsed = null;
+		try { parsed = json(body); } catch(e) {}
+		sock.close();
+		error_response(code, parsed?.message || trim(body) || sprintf('Podman error %d', code));
+		return null;
+	}
+
+	return { sock, body: hdrs.body_remainder };
+}
+
+/**
+ * @param {string} s  NUL padded or space terminated octal field
+ * @returns {int}
+ */
+function tar_octal(s) {
+	let v = 0;
+	for (let i = 0; i < length(s); i++) {
+		let c = ord(s, i);
+		if (c === 32 && !v) continue;
+		if (c < 48 || c > 55) break;
+		v = v * 8 + c - 48;
+	}
+	return v;
+}
+
+/**
+ * @param {string} hdr
+ * @param {int} off
+ * @param {int} len
+ * @returns {string}  header field up to its first NUL
+ */
+function tar_field(hdr, off, len) {
+	let s = substr(hdr, off, len);
+	let z = index(s, chr(0));
+	return z >= 0 ? substr(s, 0, z) : s;
+}
+
+/**
+ * Pull-style reader over a tar stream. Entries come from next(); the
+ * content of each must be consumed with skip() or read() before the next one.
+ * Long names from GNU (L/K) and PAX (x) headers are applied.
+ * @param {Socket} sock
+ * @param {string} buf   bytes already received after the HTTP headers
+ * @returns {object}
+ */
+function tar_reader(sock, buf) {
+	let pos = 0;
+
+	let recv = () => {
+		let chunk = sock.recv(65536);
+		if (!chunk || !length(chunk)) return false;
+		buf = substr(buf, pos) + chunk;
+		pos = 0;
+		return true;
+	};
+
+	let fill = (n) => {
+		while (length(buf) - pos < n)
+			if (!recv()) return false;
+		return true;
+	};
+
+	let take = (n) => {
+		let s = substr(buf, pos, n);
+		pos += n;
+		return s;
+	};
+
+	return {
+		next: () => {
+			let long_name = null;
+			let long_link = null;
+
+			while (true) {
+				if (!fill(512)) return null;
+				let hdr = take(512);
+				if (ord(hdr, 0) === 0) return null; // end-of-archive block
+
+				let size = tar_octal(tar_field(hdr, 124, 12));
+				let padded = size + (512 - size % 512) % 512;
+				let flag = ord(hdr, 156);
+
+				// x / g: PAX headers, L / K: GNU long name / link
+				if (flag === 120 || flag === 103 || flag === 76 || flag === 75) {
+					if (!fill(padded)) return null;
+					let content = substr(take(padded), 0, size);
+					if (flag === 76) {
+						long_name = tar_field(content, 0, size);
+					} else if (flag === 75) {
+						long_link = tar_field(content, 0, size);
+					} else if (flag === 120) {
+						let m = match(content, /(^|\n)[0-9]+ path=([^\n]*)\n/);
+						if (m) long_name = m[2];
+						m = match(content, /(^|\n)[0-9]+ linkpath=([^\n]*)\n/);
+						if (m) long_link = m[2];
+					}
+					continue;
+				}
+
+				let prefix = tar_field(hdr, 345, 155);
+				let name = tar_field(hdr, 0, 100);
+
+				return {
+					name: long_name ?? (prefix ? prefix + '/' + name : name),
+					type: (flag === 0 || flag === 48) ? 'file'
+						: flag === 53 ? 'dir'
+						: flag === 50 ? 'link'
+						: flag === 49 ? 'hardlink'
+						: 'other',
+					size,
+					padded,
+					mode: tar_octal(tar_field(hdr, 100, 8)) & 4095,
+					mtime: tar_octal(tar_field(hdr, 136, 12)),
+					link: long_link ?? tar_field(hdr, 157, 100),
+				};
+			}
+		},
+
+		skip: (entry) => {
+			let n = entry.padded;
+			while (n > 0) {
+				let avail = length(buf) - pos;
+				if (avail >= n) { pos += n; return true; }
+				n -= avail;
+				buf = '';
+				pos = 0;
+				if (!recv()) return false;
+			}
+			return true;
+		},
+
+		read: (entry) => fill(entry.padded) ? substr(take(entry.padded), 0, entry.size) : null,
+	};
+}
+
+/**
+ * ustar header for a single regular file owned by root.
+ * @param {string} name  file name, at most 100 bytes
+ * @param {int} size
+ * @param {int} mode
+ * @returns {string}  512-byte header block
+ */
+function tar_header(name, size, mode) {
+	let field = (s, len) => s + substr(ZEROS, 0, len - length(s));
+
+	let hdr = field(name, 100)
+		+ field(sprintf('%07o', mode), 8)
+		+ field('0000000', 8)
+		+ field('0000000', 8)
+		+ field(sprintf('%011o', size), 12)
+		+ field(sprintf('%011o', time()), 12)
+		+ '        '
+		+ '0'
+		+ field('', 100)
+		+ 'ustar' + chr(0) + '00'
+		+ field('root', 32)
+		+ field('root', 32)
+		+ field('', 8 + 8 + 155 + 12);
+
+	let sum = 0;
+	for (let i = 0; i < 512; i++) sum += ord(hdr, i);
+
+	return substr(hdr, 0, 148) + field(sprintf('%06o', sum), 7) + ' ' + substr(hdr, 156);
+}
+
+/**
+ * Send one control message to the exec worker of a session.
+ * @param {string} session
+ * @param {string} msg
+ * @returns {boolean}
+ */
+function exec_control(session, msg) {
+	let conn = socket.create(socket.AF_UNIX, socket.SOCK_STREAM);
+	if (!conn) return false;
+	let ok = conn.connect(socket.sockaddr(EXEC_PREFIX + session + '.sock')) && conn.send(msg) !== null;
+	conn.close();
+	return !!ok;
+}
+
+/**
+ * List a folder from the tar archive of its subtree, for stopped containers and
+ * images without sh or stat. Answers the request with an error when that fails.
+ * @param {string} id
+ * @param {string} path
+ * @returns {?object}  {path, type, size, mode, mtime, link, entries, truncated}
+ */
+function files_list_archive(id, path) {
+	let archive = archive_open(id, path);
+	if (!archive) return null;
+
+	// The archive holds the whole subtree, named relative to the parent of the path:
+	// the first entry is the path itself, direct children are one level below it
+	let reader = tar_reader(archive.sock, archive.body);
+	let strip = (name) => replace(replace(name, /^\.\//, ''), /\/+$/, '');
+	let started = time();
+	let self = reader.next();
+	let root = self ? strip(self.name) : '';
+	let entries = [];
+	let truncated = false;
+
+	if (self?.type === 'dir') {
+		reader.skip(self);
+
+		let entry;
+		while ((entry = reader.next())) {
+			let name = strip(entry.name);
+			let rel = (root === '' || root === '.') ? name
+				: (substr(name, 0, length(root) + 1) === root + '/') ? substr(name, length(root) + 1)
+				: '';
+
+			if (rel !== '' && index(rel, '/') < 0) {
+				push(entries, {
+					name: rel,
+					type: entry.type,
+					size: entry.size,
+					mode: entry.mode,
+					mtime: entry.mtime,
+					link: entry.link || null,
+				});
+			}
+
+			if (length(entries) >= FILES_LIST_MAX_ENTRIES || time() - started > FILES_LIST_MAX_SECONDS || !reader.skip(entry)) {
+				truncated = true;
+				break;
+			}
+		}
+	}
+
+	archive.sock.close();
+
+	return {
+		path,
+		type: self?.type ?? 'other',
+		size: self?.size ?? 0,
+		mode: self?.mode ?? 0,
+		mtime: self?.mtime ?? 0,
+		link: self?.link || null,
+		entries,
+		truncated,
+	};
+}
+
+/**
+ * @param {string} mode  st_mode in hex, as printed by stat %f
+ * @returns {string}     type as named in tar listings
+ */
+function stat_type(mode) {
+	let fmt = hex(mode) & 0xF000;
+	return fmt === 0x4000 ? 'dir' : fmt === 0x8000 ? 'file' : fmt === 0xA000 ? 'link' : 'other';
+}
+
+/**
+ * List one level of a folder with stat inside the container.
+ * @param {string} id
+ * @param {string} path
+ * @returns {?object}  listing as files_list_archive(), {error} when the path does not
+ *                     exist, null when it cannot run (stopped, no sh or stat)
+ */
+function files_list_exec(id, path) {
+	let res = podman_call('POST', sprintf('%s/containers/%s/exec', API_BASE, id), sprintf('%J', {
+		AttachStdout: true,
+		AttachStderr: true,
+		Tty: false,
+		Cmd: [ 'sh', '-c', FILES_LIST_SCRIPT, 'sh', path ],
+	}));
+
+	let created = null;
+	try { created = json(res?.body); } catch(e) {}
+	if (!res || res.code !== 201 || !match(`${created?.Id}`, /^[a-f0-9]{64}$/))
+		return null;
+
+	let out = [ '', '', '' ];
+	let demux = frame_demuxer((stream_type, payload) => {
+		if (stream_type >= 1 && stream_type <= 2) out[stream_type] += payload;
+	});
+
+	res = podman_call('POST', sprintf('%s/exec/%s/start', API_BASE, created.Id), sprintf('%J', { Detach: false, Tty: false }));
+	if (!res || res.code !== 200)
+		return null;
+	demux(res.body);
+
+	let state = null;
+	for (let i = 0; i < 10; i++) {
+		let sres = podman_call('GET', sprintf('%s/exec/%s/json', API_BASE, created.Id), null);
+		try { state = json(sres?.body); } catch(e) { state = null; }
+		if (!state?.Running) break;
+		sleep(100);
+	}
+
+	if (state?.ExitCode === 2)
+		return { error: trim(out[2]) || 'No such file or directory' };
+	if (state?.ExitCode !== 0)
+		return null;
+
+	let lines = split(out[1], '\n');
+	let self = match(lines[0], /^([0-9a-f]+)\/([0-9]+)\/([0-9]+)$/);
+	if (!self)
+		return null;
+
+	let entries = [];
+	let truncated = false;
+	for (let i = 1; i < length(lines); i++) {
+		// Names cannot contain a slash; the quoted name (%N) adds the target of links
+		let m = match(lines[i], /^([0-9a-f]+)\/([0-9]+)\/([0-9]+)\/([^\/]+)\/(.*)$/);
+		if (!m || m[4] === '.' || m[4] === '..') continue;
+
+		if (length(entries) >= FILES_LIST_MAX_ENTRIES) {
+			truncated = true;
+			break;
+		}
+
+		let type = stat_type(m[1]);
+		let target = (type === 'link') ? match(m[5], / -> (.*)$/)?.[1] : null;
+		let quoted = target ? (match(target, /^'(.*)'$/) || match(target, /^"(.*)"$/)) : null;
+		push(entries, {
+			name: m[4],
+			type,
+			size: +m[2],
+			mode: hex(m[1]) & 4095,
+			mtime: +m[3],
+			link: quoted ? quoted[1] : target,
+		});
+	}
+
+	return {
+		path,
+		type: stat_type(self[1]),
+		size: +self[2],
+		mode: hex(self[1]) & 4095,
+		mtime: +self[3],
+		link: null,
+		entries,
+		truncated,
+	};
+}
+
 /**
  * @param {string} api_path
  * @param {function} on_data
  * @param {boolean} early_headers
  * @param {int} timer
+ * @param {?string} method   defaults to GET
+ * @param {?string} body     JSON request body
  */
-function stream_podman(api_path, on_data, early_headers, timer) {
+function stream_podman(api_path, on_data, early_headers, timer, method, body) {
 	let sock = podman_socket.connect();
 	if (!sock) {
 		error_response(502, 'Cannot connect to Podman socket');
 		return;
 	}
 
-	sock.send(build_request('GET', api_path, null));
+	sock.send(build_request(method || 'GET', api_path, body));
 
 	let t = _uci_timeouts;
 	let ka_ms = (t.network - 5) * 1000;
@@ -229,23 +697,16 @@ return {
 		if (since) api_path += sprintf('&since=%s', since);
 		if (until) api_path += sprintf('&until=%s', until);
 
-		let framebuf = '';
+		let out = '';
+		let demux = frame_demuxer((stream_type, payload) => {
+			// Emit stdout (1) and stderr (2); skip others
+			if (stream_type >= 1 && stream_type <= 2)
+				out += payload;
+		});
 
 		stream_podman(api_path, (chunk) => {
-			framebuf += `${chunk}`;
-			let out = '';
-			while (length(framebuf) >= 8) {
-				let hdr = struct.unpack('!BxxxI', substr(framebuf, 0, 8));
-				if (!hdr) break;
-				let stream_type = hdr[0];
-				let payload_len = int(`${hdr[1]}`);
-				if (length(framebuf) < 8 + payload_len) break; // wait for more data
-				let payload = substr(framebuf, 8, payload_len);
-				framebuf = substr(framebuf, 8 + payload_len);
-				// Emit stdout (1) and stderr (2); skip others
-				if (stream_type >= 1 && stream_type <= 2)
-					out += payload;
-			}
+			out = '';
+			demux(chunk);
 			if (length(out)) http_write_padded(out);
 			return true;
 		}, true, timer);
@@ -332,6 +793,399 @@ return {
 		}, false, timer);
 	},
 
+	container_exec_open: (id) => {
+		if (validate_id(id)) { error_response(400, 'Invalid container ID'); return; }
+
+		if (!has_write_access(ctx?.authsession)) { error_response(403, 'Access denied'); return; } // ucode-lsp disable
+
+		let rows  = `${http.formvalue('rows') || '24'}`;
+		let cols  = `${http.formvalue('cols') || '80'}`;
+		let shell = EXEC_SHELLS[`${http.formvalue('shell') || 'sh'}`];
+
+		if (!match(rows, /^[0-9]+$/) || !match(cols, /^[0-9]+$/) || +rows < 1 || +cols < 1 || +rows > 500 || +cols > 500) {
+			error_response(400, 'Invalid terminal size');
+			return;
+		}
+
+		if (!shell) {
+			error_response(400, 'Invalid shell parameter');
+			return;
+		}
+
+		let session = exec_create(id, {
+			AttachStdin: true,
+			AttachStdout: true,
+			AttachStderr: true,
+			Tty: true,
+			Cmd: [ shell ],
+			Env: [ 'TERM=xterm' ],
+		});
+		if (!session) return;
+
+		// Created here so the stream can attach before the worker is up. Owner only:
+		// the terminal output may show anything the shell prints, passwords included.
+		let f = open(EXEC_PREFIX + session + '.out', 'w', 0600);
+		if (f) { f.write(sprintf('%016d\n', 0)); f.close(); }
+
+		system(sprintf(
+			"/usr/bin/ucode /usr/share/podman/exec-worker.uc '%s' '%d' '%d' </dev/null >/dev/null 2>/dev/null &",
+			session, +rows, +cols
+		));
+
+		http.status(200, 'OK');
+		http.header('Content-Type', 'application/json');
+		http.write(sprintf('%J', { session }));
+	},
+
+	container_exec: (session) => {
+		if (!match(`${session}`, /^[a-f0-9]{64}$/)) { error_response(400, 'Invalid session'); return; }
+
+		if (!has_write_access(ctx?.authsession)) { error_response(403, 'Access denied'); return; } // ucode-lsp disable
+
+		let timer = session_timer(ctx?.authsession); // ucode-lsp disable
+		if (!timer) { error_response(403, 'Session expired'); return; }
+
+		let offset = `${http.formvalue('offset') || '0'}`;
+		if (!match(offset, /^[0-9]+$/)) {
+			error_response(400, 'Invalid offset parameter');
+			return;
+		}
+
+		if (!stat(EXEC_PREFIX + session + '.out')) {
+			error_response(404, 'Exec session not found');
+			return;
+		}
+
+		let outfile  = EXEC_PREFIX + session + '.out';
+		let pidfile  = EXEC_PREFIX + session + '.pid';
+		let exitfile = EXEC_PREFIX + session + '.exit';
+		let pos      = +offset;
+		let started  = time();
+
+		http.status(200, 'OK');
+		http.header('Content-Type', 'application/x-ndjson');
+		http.write_headers();
+
+		uloop.init();
+
+		// Output goes out base64 encoded: raw terminal bytes would not survive the padding
+		let poll_fn;
+		poll_fn = () => {
+			// Checked before reading, so output written right before the exit is not lost
+			let exited = stat(exitfile);
+
+			let f = open(outfile, 'r');
+			let chunk = null;
+			if (f) {
+				// Output older than the base was dropped by the worker: continue with what is left
+				let base = int(trim(f.read(EXEC_OUT_HEADER) || '0'));
+				if (pos < base) pos = base;
+				f.seek(EXEC_OUT_HEADER + pos - base);
+				chunk = f.read(BLOCKSIZE);
+				f.close();
+			}
+
+			if (chunk && length(chunk)) {
+				pos += length(chunk);
+				if (!http_write_padded(sprintf('%J\n', { o: b64enc(chunk), p: pos }))) { uloop.end(); return; }
+				uloop.timer(0, poll_fn);
+				return;
+			}
+
+			let pid = 0;
+			let pf  = open(pidfile, 'r');
+			if (pf) { pid = +(trim(pf.read(200) || '0')); pf.close(); }
+
+			if (exited || (!(pid > 0 && stat('/proc/' + pid)) && time() - started > 5)) {
+				let code = -1;
+				let ef = open(exitfile, 'r');
+				if (ef) { code = +(trim(ef.read(200) || '-1')); ef.close(); }
+				http_write_padded(sprintf('%J\n', { exit: code }));
+				unlink(outfile);
+				unlink(exitfile);
+				uloop.end();
+				return;
+			}
+
+			uloop.timer(50, poll_fn);
+		};
+		uloop.timer(0, poll_fn);
+
+		// Keeps both the HTTP connection and the worker (which gives up when nobody is attached) alive
+		let ka;
+		ka = () => {
+			http_write_padded('\n');
+			exec_control(session, 'k');
+			uloop.timer(10000, ka);
+		};
+		uloop.timer(10000, ka);
+
+		uloop.timer(timer.timeout_ms, timer.on_expire);
+
+		uloop.run();
+	},
+
+	container_exec_input: (session) => {
+		if (!match(`${session}`, /^[a-f0-9]{64}$/)) { error_response(400, 'Invalid session'); return; }
+
+		if (!has_write_access(ctx?.authsession)) { error_response(403, 'Access denied'); return; } // ucode-lsp disable
+
+		if (!stat(EXEC_PREFIX + session + '.sock')) {
+			error_response(404, 'Exec session not found');
+			return;
+		}
+
+		let data = http.formvalue('data');
+		let rows = http.formvalue('rows');
+		let cols = http.formvalue('cols');
+		let ok   = false;
+
+		if (http.formvalue('close')) {
+			ok = exec_control(session, 'c');
+		} else if (rows || cols) {
+			if (!match(`${rows}`, /^[0-9]+$/) || !match(`${cols}`, /^[0-9]+$/) || +rows < 1 || +cols < 1 || +rows > 500 || +cols > 500) {
+				error_response(400, 'Invalid terminal size');
+				return;
+			}
+			let res = podman_call('POST', sprintf('%s/exec/%s/resize?h=%d&w=%d', API_BASE, session, +rows, +cols), null);
+			ok = res && res.code < 300;
+		} else if (data) {
+			if (length(data) > EXEC_INPUT_MAX) {
+				error_response(413, 'Input too large');
+				return;
+			}
+			ok = exec_control(session, 'i' + data);
+		} else {
+			error_response(400, 'Missing data parameter');
+			return;
+		}
+
+		if (!ok) {
+			error_response(502, 'Exec session did not accept the request');
+			return;
+		}
+
+		http.status(204, 'No Content');
+		http.write_headers();
+	},
+
+	container_exec_run: (id) => {
+		if (validate_id(id)) { error_response(400, 'Invalid container ID'); return; }
+
+		if (!has_write_access(ctx?.authsession)) { error_response(403, 'Access denied'); return; } // ucode-lsp disable
+
+		let timer = session_timer(ctx?.authsession); // ucode-lsp disable
+		if (!timer) { error_response(403, 'Session expired'); return; }
+
+		let cmd = null;
+		let env = null;
+		try { cmd = json(`${http.formvalue('cmd') || ''}`); } catch(e) {}
+		try { env = json(`${http.formvalue('env') || '[]'}`); } catch(e) {}
+		let user    = `${http.formvalue('user') || ''}`;
+		let workdir = `${http.formvalue('workdir') || ''}`;
+
+		if (type(cmd) !== 'array' || !length(cmd) || length(filter(cmd, (arg) => type(arg) !== 'string'))) {
+			error_response(400, 'Invalid cmd parameter');
+			return;
+		}
+
+		if (type(env) !== 'array' || length(filter(env, (e) => type(e) !== 'string' || !match(e, /^[A-Za-z_][A-Za-z0-9_.-]*=/)))) {
+			error_response(400, 'Invalid env parameter');
+			return;
+		}
+
+		if (user && !match(user, /^[A-Za-z0-9_.-]+(:[A-Za-z0-9_.-]+)?$/)) {
+			error_response(400, 'Invalid user parameter');
+			return;
+		}
+
+		if (workdir && !match(workdir, /^\/[^\n\r]*$/)) {
+			error_response(400, 'Invalid workdir parameter');
+			return;
+		}
+
+		let config = { AttachStdout: true, AttachStderr: true, Tty: false, Cmd: cmd };
+		if (user)        config.User = user;
+		if (workdir)     config.WorkingDir = workdir;
+		if (length(env)) config.Env = env;
+
+		let exec_id = exec_create(id, config);
+		if (!exec_id) return;
+
+		// Output goes out base64 encoded per frame, tagged with its stream (1 stdout, 2 stderr)
+		let alive = true;
+		let demux = frame_demuxer((stream_type, payload) => {
+			if (stream_type >= 1 && stream_type <= 2 && alive)
+				alive = !!http_write_padded(sprintf('%J\n', { s: stream_type, o: b64enc(payload) }));
+		});
+
+		stream_podman(sprintf('%s/exec/%s/start', API_BASE, exec_id), (chunk) => {
+			demux(chunk);
+			return alive;
+		}, true, timer, 'POST', sprintf('%J', { Detach: false, Tty: false }));
+
+		if (!alive) return;
+
+		// The exec session is marked stopped shortly after its output ends
+		let state = null;
+		for (let i = 0; i < 10; i++) {
+			let res = podman_call('GET', sprintf('%s/exec/%s/json', API_BASE, exec_id), null);
+			try { state = json(res?.body); } catch(e) { state = null; }
+			if (!state?.Running) break;
+			sleep(100);
+		}
+
+		if (state?.Running)
+			http_write_padded(sprintf('%J\n', { running: true }));
+		else
+			http_write_padded(sprintf('%J\n', { exit: state?.ExitCode != null ? +state.ExitCode : -1 }));
+	},
+
+	container_files: (id) => {
+		if (validate_id(id)) { error_response(400, 'Invalid container ID'); return; }
+
+		if (!has_write_access(ctx?.authsession)) { error_response(403, 'Access denied'); return; } // ucode-lsp disable
+
+		let path = `${http.formvalue('path') || '/'}`;
+		if (!valid_container_path(path)) { error_response(400, 'Invalid path'); return; }
+
+		// One level with stat in the container, the archive of the whole subtree only where that cannot run
+		let listing = files_list_exec(id, path);
+		if (listing?.error) { error_response(404, listing.error); return; }
+		if (!listing) listing = files_list_archive(id, path);
+		if (!listing) return;
+
+		http.status(200, 'OK');
+		http.header('Content-Type', 'application/json');
+		http.write(sprintf('%J', listing));
+	},
+
+	container_files_download: (id) => {
+		if (validate_id(id)) { error_response(400, 'Invalid container ID'); return; }
+
+		if (!has_write_access(ctx?.authsession)) { error_response(403, 'Access denied'); return; } // ucode-lsp disable
+
+		let path = `${http.formvalue('path') || '/'}`;
+		if (!valid_container_path(path)) { error_response(400, 'Invalid path'); return; }
+
+		let archive = archive_open(id, path);
+		if (!archive) return;
+
+		// raw=1: content of a single regular file, for viewing and editing
+		if (http.formvalue('raw')) {
+			let reader = tar_reader(archive.sock, archive.body);
+			let entry = reader.next();
+			let content = null;
+
+			if (entry?.type !== 'file') {
+				error_response(400, 'Not a regular file');
+			} else if (entry.size > FILES_VIEW_MAX) {
+				error_response(413, 'File too large to view');
+			} else if ((content = reader.read(entry)) == null) {
+				error_response(502, 'Incomplete archive');
+			} else {
+				http.status(200, 'OK');
+				http.header('Content-Type', 'application/octet-stream');
+				http.header('Cache-Control', 'no-store');
+				http.write(content);
+			}
+
+			archive.sock.close();
+			return;
+		}
+
+		let name = replace(replace(path, /\/+$/, ''), /^.*\//, '') || 'root';
+		name = replace(name, /[^A-Za-z0-9._-]/g, '_');
+
+		http.status(200, 'OK');
+		http.header('Content-Type', 'application/x-tar');
+		http.header('Content-Disposition', sprintf('attachment; filename="%s.tar"', name));
+		http.header('Cache-Control', 'no-store');
+		http.write_headers();
+
+		if (length(archive.body) && !http.write(archive.body)) {
+			archive.sock.close();
+			return;
+		}
+
+		let chunk;
+		while ((chunk = archive.sock.recv(65536)) && length(chunk))
+			if (!http.write(chunk)) break;
+
+		archive.sock.close();
+	},
+
+	container_files_upload: (id) => {
+		let upload = `${http.formvalue('upload') || ''}`;
+		if (!match(upload, /^[a-f0-9]{32}$/)) { error_response(400, 'Invalid upload parameter'); return; }
+
+		// The uploaded file is removed on every way out
+		let tmpfile = FILES_UPLOAD_PREFIX + upload;
+		let fail = (code, message) => {
+			unlink(tmpfile);
+			error_response(code, message);
+		};
+
+		if (validate_id(id)) { fail(400, 'Invalid container ID'); return; }
+
+		if (!has_write_access(ctx?.authsession)) { fail(403, 'Access denied'); return; } // ucode-lsp disable
+
+		let path = `${http.formvalue('path') || ''}`;
+		let name = `${http.formvalue('name') || ''}`;
+		let mode = `${http.formvalue('mode') || '644'}`;
+
+		if (!valid_container_path(path)) { fail(400, 'Invalid path'); return; }
+
+		if (!length(name) || length(name) > 100 || name === '.' || name === '..' || match(name, /[\/\n\r]/) || index(name, chr(0)) >= 0) {
+			fail(400, 'Invalid file name');
+			return;
+		}
+
+		if (!match(mode, /^[0-7]{3,4}$/)) { fail(400, 'Invalid mode'); return; }
+
+		// The file itself arrives through cgi-upload, so it never passes rpcd
+		let st = stat(tmpfile);
+		let file = st?.type === 'file' ? open(tmpfile, 'r') : null;
+		if (!file) { fail(400, 'No uploaded file'); return; }
+
+		let sock = podman_socket.connect();
+		if (!sock) {
+			file.close();
+			fail(502, 'Cannot connect to Podman socket');
+			return;
+		}
+
+		let padding = (512 - st.size % 512) % 512;
+
+		sock.send(sprintf('PUT %s/containers/%s/archive?path=%s HTTP/1.0\r\nHost: localhost\r\nContent-Type: application/x-tar\r\nContent-Length: %d\r\n\r\n',
+			API_BASE, id, urlencode(path, ENCODE_FULL), 512 + st.size + padding + 1024));
+		sock.send(tar_header(name, st.size, tar_octal(mode)));
+
+		let chunk;
+		while ((chunk = file.read(65536)) && length(chunk))
+			sock.send(chunk);
+		file.close();
+		unlink(tmpfile);
+
+		// Pad the last block, then two zero blocks end the archive
+		sock.send(substr(ZEROS, 0, padding) + ZEROS);
+
+		let hdrs = read_headers(sock);
+		let code = hdrs ? parse_status(hdrs.header_buf) : 502;
+		let body = hdrs ? read_body(sock, hdrs) : '';
+		sock.close();
+
+		if (code >= 300) {
+			let parsed = null;
+			try { parsed = json(body); } catch(e) {}
+			error_response(code, parsed?.message || trim(body) || sprintf('Podman error %d', code));
+			return;
+		}
+
+		http.status(204, 'No Content');
+		http.write_headers();
+	},
+
 	image_pull: () => {
 		let timer = session_timer(ctx?.authsession); // ucode-lsp disable
 		if (!timer) { error_response(403, 'Session expired'); return; }
@@ -74,3 +74,22 @@ export function read_headers(sock, blocksize) {
 		};
 	}
 };
+
+/**
+ * Blocking read of the response body that follows read_headers(). Honours
+ * Content-Length when present, otherwise reads until the peer closes.
+ *
+ * @param {Socket} sock      Connected socket
+ * @param {{header_buf:string, body_remainder:string}} hdrs  Result of read_headers()
+ * @returns {string}         The response body
+ */
+export function read_body(sock, hdrs) {
+	let body = `${hdrs.body_remainder}`;
+	let content_length = parse_content_length(hdrs.header_buf);
+	while (content_length < 0 || length(body) < content_length) {
+		let chunk = sock.recv(65536);
+		if (!chunk) break;
+		body += `${chunk}`;
+	}
+	return body;
+};
@@ -60,6 +60,14 @@ export function validate_restart_policy(policy) {
 		return 'Invalid restart policy';
 };
 
+/** @param {int|string} val */
+export function validate_restart_retries(val) {
+	if (type(val) === 'string' && match(val, /^[0-9]+$/))
+		val = +val;
+	if (type(val) !== 'int' || val < 0 || val > 65535)
+		return 'Invalid restart retries';
+};
+
 /** @param {string} val */
 export function validate_int(val) {
 	if (!val || type(val) !== 'string' || !match(val, /^[0-9]+$/))